@@ -0,0 +1,100 @@
+import * as THREE from 'three';
+import { createLabel, removeLabel, placeLabel } from './labelLayer.js';
+
+// Shows the product's annotations as labels pinned to part surfaces. Each
+// annotation stores its point in the local space of the part's model, so the
+// label follows the part when it is dragged or exploded.
+export class AnnotationManager {
+    constructor(app) {
+        this.app = app;
+        this.annotations = [];
+        // annotation id -> label element
+        this.labels = new Map();
+    }
+
+    // Replace the annotation list (the server always sends the full list).
+    setAnnotations(annotations) {
+        this.annotations = annotations || [];
+        const ids = new Set(this.annotations.map((annotation) => annotation.id));
+        this.labels.forEach((label, id) => {
+            if (!ids.has(id)) {
+                removeLabel(label);
+                this.labels.delete(id);
+            }
+        });
+        this.annotations.forEach((annotation) => {
+            if (!this.labels.has(annotation.id)) {
+                this.labels.set(annotation.id, this.createAnnotationLabel(annotation));
+            }
+        });
+        this.refreshRemoveButtons();
+    }
+
+    createAnnotationLabel(annotation) {
+        const label = createLabel();
+        label.style.width = '12px';
+        label.style.height = '12px';
+        label.style.borderRadius = '50%';
+        label.style.backgroundColor = '#d00024';
+        label.style.border = '2px solid white';
+        label.style.boxSizing = 'border-box';
+
+        const bubble = document.createElement('div');
+        bubble.style.position = 'absolute';
+        bubble.style.left = '16px';
+        bubble.style.top = '50%';
+        bubble.style.transform = 'translateY(-50%)';
+        bubble.style.display = 'flex';
+        bubble.style.alignItems = 'center';
+        bubble.style.gap = '6px';
+        bubble.style.padding = '4px 10px';
+        bubble.style.borderRadius = '9999px';
+        bubble.style.backgroundColor = 'rgba(255, 255, 255, 0.95)';
+        bubble.style.color = '#333';
+        bubble.style.boxShadow = '0 1px 4px rgba(0, 0, 0, 0.3)';
+
+        const text = document.createElement('span');
+        text.textContent = annotation.text;
+
+        // Only the host may remove annotations; the button is toggled with the role.
+        const removeButton = document.createElement('button');
+        removeButton.textContent = '×';
+        removeButton.title = 'Remove annotation';
+        removeButton.style.border = 'none';
+        removeButton.style.background = 'none';
+        removeButton.style.color = '#d00024';
+        removeButton.style.cursor = 'pointer';
+        removeButton.style.pointerEvents = 'auto';
+        removeButton.addEventListener('click', () => {
+            this.app.socket.emit('annotation-remove', { id: annotation.id });
+        });
+        label.removeButton = removeButton;
+
+        bubble.appendChild(text);
+        bubble.appendChild(removeButton);
+        label.appendChild(bubble);
+        return label;
+    }
+
+    refreshRemoveButtons() {
+        this.labels.forEach((label) => {
+            label.removeButton.style.display = this.app.isHost ? 'inline' : 'none';
+        });
+    }
+
+    // Reposition labels; called once per frame.
+    update() {
+        const visibleParts = this.app.productGroup.children.filter((child) => child.visible);
+        this.annotations.forEach((annotation) => {
+            const label = this.labels.get(annotation.id);
+            const container = this.app.loadedModels.get(annotation.partId);
+            const model = container && container.children[0];
+            if (!model || !container.visible || !this.app.productGroup.visible) {
+                label.style.display = 'none';
+                return;
+            }
+            const worldPosition = model.localToWorld(new THREE.Vector3().fromArray(annotation.position));
+            placeLabel(label, worldPosition, this.app.camera, visibleParts);
+        });
+    }
+}
@@ -0,0 +1,181 @@
+import * as THREE from 'three';
+import { createLabel, removeLabel, placeLabel } from './labelLayer.js';
+
+// How many of the latest pinned chat messages keep their pin on the model;
+// open questions always do.
+const MAX_RECENT_PINS = 5;
+const PIN_TEXT_LENGTH = 40;
+
+// The room's chat and Q&A queue. The server keeps the history and sends each
+// new message to everyone; questions stay open until the host marks them
+// answered. A message can be pinned to a point on a part (in the local space
+// of the part's model, like an annotation), shown as a marker in the scene.
+export class ChatManager {
+    constructor(app) {
+        this.app = app;
+        // [{ id, kind, from, name, color, fromHost, text, pin, answered, createdAt }], oldest first.
+        this.messages = [];
+        // Messages that arrived while the chat panel was closed.
+        this.unread = 0;
+        // { partId, position } picked for the message being written, or null.
+        this.draftPin = null;
+        this.draftLabel = null;
+        // Message whose pin was asked for from the panel, shown even if it is old.
+        this.shownPinId = null;
+        // message id -> label element
+        this.labels = new Map();
+        // Called when the messages, the unread count or the draft pin change.
+        this.onChange = null;
+    }
+
+    notify() {
+        if (this.onChange) this.onChange();
+    }
+
+    // The conversation so far, from a session snapshot or a recording.
+    setMessages(messages) {
+        this.messages = messages || [];
+        this.refreshLabels();
+        this.notify();
+    }
+
+    addMessage(message, unread = false) {
+        this.messages = [...this.messages.filter((existing) => existing.id !== message.id), message];
+        if (unread && message.from !== this.app.socket.id) {
+            this.unread++;
+        }
+        this.refreshLabels();
+        this.notify();
+    }
+
+    updateMessage(message) {
+        this.messages = this.messages.map((existing) => (existing.id === message.id ? message : existing));
+        this.refreshLabels();
+        this.notify();
+    }
+
+    markRead() {
+        this.unread = 0;
+    }
+
+    questions() {
+        return this.messages.filter((message) => message.kind === 'question');
+    }
+
+    openQuestionCount() {
+        return this.questions().filter((message) => !message.answered).length;
+    }
+
+    send(text, kind = 'message') {
+        this.app.socket.emit('chat-send', { text, kind, pin: this.draftPin });
+        this.clearDraftPin();
+    }
+
+    // Host: close a question, or reopen it.
+    setAnswered(id, answered) {
+        this.app.socket.emit('question-answered', { id, answered });
+    }
+
+    // Pin the message being written to the surface under a click.
+    setDraftPin(hit) {
+        this.draftPin = {
+            partId: hit.partId,
+            position: hit.container.children[0].worldToLocal(hit.point.clone()).toArray()
+        };
+        if (!this.draftLabel) {
+            this.draftLabel = this.createPinLabel(this.app.identity ? this.app.identity.color : '#d00024', 'Your message goes here');
+        }
+        this.notify();
+    }
+
+    clearDraftPin() {
+        this.draftPin = null;
+        if (this.draftLabel) {
+            removeLabel(this.draftLabel);
+            this.draftLabel = null;
+        }
+        this.notify();
+    }
+
+    toggleShownPin(id) {
+        this.shownPinId = this.shownPinId === id ? null : id;
+        this.refreshLabels();
+        this.notify();
+    }
+
+    // Pinned messages whose marker is on the model.
+    pinnedMessages() {
+        const pinned = this.messages.filter((message) => message.pin);
+        const recent = new Set(pinned.slice(-MAX_RECENT_PINS));
+        return pinned.filter((message) => (
+            message.id === this.shownPinId ||
+            (message.kind === 'question' ? !message.answered : recent.has(message))
+        ));
+    }
+
+    refreshLabels() {
+        const pinned = this.pinnedMessages();
+        const ids = new Set(pinned.map((message) => message.id));
+        this.labels.forEach((label, id) => {
+            if (!ids.has(id)) {
+                removeLabel(label);
+                this.labels.delete(id);
+            }
+        });
+        pinned.forEach((message) => {
+            if (!this.labels.has(message.id)) {
+                const text = message.text.length > PIN_TEXT_LENGTH ? `${message.text.slice(0, PIN_TEXT_LENGTH)}…` : message.text;
+                this.labels.set(message.id, this.createPinLabel(message.color, `${message.kind === 'question' ? 'Q · ' : ''}${message.name}: ${text}`));
+            }
+        });
+    }
+
+    createPinLabel(color, text) {
+        const label = createLabel();
+        label.style.width = '12px';
+        label.style.height = '12px';
+        label.style.borderRadius = '50%';
+        label.style.backgroundColor = color;
+        label.style.border = '2px solid white';
+        label.style.boxSizing = 'border-box';
+
+        const bubble = document.createElement('div');
+        bubble.textContent = text;
+        bubble.style.position = 'absolute';
+        bubble.style.left = '16px';
+        bubble.style.top = '50%';
+        bubble.style.transform = 'translateY(-50%)';
+        bubble.style.padding = '3px 8px';
+        bubble.style.borderRadius = '9999px';
+        bubble.style.backgroundColor = 'rgba(255, 255, 255, 0.9)';
+        bubble.style.borderLeft = `3px solid ${color}`;
+        bubble.style.color = '#333';
+        bubble.style.fontSize = '12px';
+        bubble.style.boxShadow = '0 1px 4px rgba(0, 0, 0, 0.3)';
+        label.appendChild(bubble);
+        return label;
+    }
+
+    placePin(label, pin, visibleParts) {
+        const container = this.app.loadedModels.get(pin.partId);
+        const model = container && container.children[0];
+        if (!model || !container.visible || !this.app.productGroup.visible) {
+            label.style.display = 'none';
+            return;
+        }
+        const worldPosition = model.localToWorld(new THREE.Vector3().fromArray(pin.position));
+        placeLabel(label, worldPosition, this.app.camera, visibleParts);
+    }
+
+    // Reposition pins; called once per frame.
+    update() {
+        const visibleParts = this.app.productGroup.children.filter((child) => child.visible);
+        this.labels.forEach((label, id) => {
+            const message = this.messages.find((candidate) => candidate.id === id);
+            this.placePin(label, message.pin, visibleParts);
+        });
+        if (this.draftLabel) {
+            this.placePin(this.draftLabel, this.draftPin, visibleParts);
+        }
+    }
+}
@@ -0,0 +1,103 @@
+import * as THREE from 'three';
+
+// Animates the exploded view. Each part's model is pushed away from its
+// container along an offset (from the manifest's `explode`, or computed from
+// where the part sits in the assembly), scaled by the current explode factor.
+// Offsetting the model rather than the container keeps drags and synced
+// transforms independent of the explode state.
+export class ExplodeManager {
+    constructor(app) {
+        this.app = app;
+        this.factor = 0;
+        // Factor the current animation is heading towards.
+        this.target = 0;
+        this.animation = null;
+    }
+
+    // Offset of a part at factor 1, in productGroup space.
+    getOffset(container) {
+        if (container.userData.explodeOffset) {
+            return container.userData.explodeOffset;
+        }
+        const part = container.userData.part;
+        let offset;
+        if (part && part.explode) {
+            offset = new THREE.Vector3().fromArray(part.explode);
+        } else {
+            offset = this.computeOffset(container);
+        }
+        container.userData.explodeOffset = offset;
+        return offset;
+    }
+
+    // Push parts outwards from the centre of the assembly, proportionally to its size.
+    computeOffset(container) {
+        const productGroup = this.app.productGroup;
+        const productBox = new THREE.Box3();
+        this.app.loadedModels.forEach((model) => productBox.expandByObject(model));
+        const productCenter = productGroup.worldToLocal(productBox.getCenter(new THREE.Vector3()));
+        const partCenter = productGroup.worldToLocal(
+            new THREE.Box3().setFromObject(container).getCenter(new THREE.Vector3())
+        );
+        const direction = partCenter.sub(productCenter);
+        if (direction.lengthSq() < 1e-10) {
+            return new THREE.Vector3();
+        }
+        const size = productBox.getSize(new THREE.Vector3());
+        return direction.normalize().multiplyScalar(Math.max(size.x, size.y, size.z) * 0.5);
+    }
+
+    setFactor(factor) {
+        this.animation = null;
+        this.target = factor;
+        this.applyFactor(factor);
+    }
+
+    animateTo(factor, duration = 1000) {
+        if (duration <= 0) {
+            this.setFactor(factor);
+            return;
+        }
+        this.target = factor;
+        this.animation = {
+            from: this.factor,
+            to: factor,
+            start: performance.now(),
+            duration
+        };
+    }
+
+    applyFactor(factor) {
+        this.factor = factor;
+        // Measure every part before any of them moves.
+        this.app.loadedModels.forEach((container) => this.getOffset(container));
+        const inverseRotation = new THREE.Quaternion();
+        this.app.loadedModels.forEach((container) => {
+            const model = container.children[0];
+            if (!model) return;
+            if (!model.userData.basePosition) {
+                model.userData.basePosition = model.position.clone();
+            }
+            // Express the productGroup-space offset in the container's own frame.
+            inverseRotation.copy(container.quaternion).invert();
+            const localOffset = this.getOffset(container).clone()
+                .applyQuaternion(inverseRotation)
+                .divide(container.scale)
+                .multiplyScalar(factor);
+            model.position.copy(model.userData.basePosition).add(localOffset);
+        });
+    }
+
+    // Advance any running animation; called once per frame.
+    update() {
+        if (!this.animation) return;
+        const { from, to, start, duration } = this.animation;
+        const t = Math.min((performance.now() - start) / duration, 1);
+        // Ease in-out so parts glide apart rather than jump.
+        const eased = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+        this.applyFactor(from + (to - from) * eased);
+        if (t >= 1) {
+            this.animation = null;
+        }
+    }
+}
@@ -0,0 +1,147 @@
+// How many edits can be undone.
+const MAX_ENTRIES = 100;
+
+function sameTransform(a, b) {
+    return ['position', 'rotation', 'scale'].every((key) => a[key].every((value, index) => value === b[key][index]));
+}
+
+// Undo/redo for this client's own scene edits: part moves (mouse drags and XR
+// grabs), show/hide changes and resets. Entries hold the scene before and
+// after the edit; undoing or redoing applies the other side and sends it out
+// like any other change, so viewers simply see the parts move back. A reset
+// also ends any running tour; undoing it brings the scene back but not the tour.
+//   { type: 'transform', partId, before, after }  before/after: { position, rotation, scale }
+//   { type: 'visibility', before, after }          before/after: { partId: false }
+//   { type: 'reset', before, after }               before/after: see captureScene()
+export class HistoryManager {
+    constructor(app) {
+        this.app = app;
+        this.undoStack = [];
+        this.redoStack = [];
+        // partId -> transform when the current move started.
+        this.moveStarts = new Map();
+        // Called when what can be undone or redone changes.
+        this.onChange = null;
+        // Called when an undo or redo has to wait because someone else is moving one of its parts.
+        this.onBlocked = null;
+    }
+
+    notify() {
+        if (this.onChange) this.onChange();
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    push(entry) {
+        this.undoStack.push(entry);
+        if (this.undoStack.length > MAX_ENTRIES) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.notify();
+    }
+
+    // The edits are about parts that are gone, e.g. after a product switch.
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.moveStarts.clear();
+        this.notify();
+    }
+
+    captureTransform(object) {
+        return {
+            position: object.position.toArray(),
+            rotation: object.rotation.toArray().slice(0, 3),
+            scale: object.scale.toArray()
+        };
+    }
+
+    // Everything a reset changes that can be put back (all but the tour).
+    captureScene() {
+        const transforms = {};
+        this.app.loadedModels.forEach((container, partId) => {
+            transforms[partId] = this.captureTransform(container);
+        });
+        return {
+            transforms,
+            visibility: { ...this.app.partVisibility },
+            explode: this.app.explodeManager.target,
+            variant: this.app.variantManager.active,
+            sections: this.app.sectionManager.planes.map((plane) => ({ ...plane }))
+        };
+    }
+
+    beginMove(object) {
+        this.moveStarts.set(object.name, this.captureTransform(object));
+    }
+
+    endMove(object) {
+        const before = this.moveStarts.get(object.name);
+        this.moveStarts.delete(object.name);
+        if (!before) return;
+        const after = this.captureTransform(object);
+        if (!sameTransform(before, after)) {
+            this.push({ type: 'transform', partId: object.name, before, after });
+        }
+    }
+
+    // The move was cut short (someone else took the part), so it isn't an edit of ours.
+    cancelMove(partId) {
+        this.moveStarts.delete(partId);
+    }
+
+    recordVisibility(before, after) {
+        const partIds = Object.keys({ ...before, ...after });
+        if (partIds.every((partId) => before[partId] === after[partId])) return;
+        this.push({ type: 'visibility', before: { ...before }, after: { ...after } });
+    }
+
+    recordReset(before) {
+        this.push({ type: 'reset', before, after: this.captureScene() });
+    }
+
+    // An entry whose parts are busy stays where it is, so the stacks keep matching the scene.
+    undo() {
+        const entry = this.undoStack[this.undoStack.length - 1];
+        if (!entry || !this.apply(entry, entry.before)) return;
+        this.redoStack.push(this.undoStack.pop());
+        this.notify();
+    }
+
+    redo() {
+        const entry = this.redoStack[this.redoStack.length - 1];
+        if (!entry || !this.apply(entry, entry.after)) return;
+        this.undoStack.push(this.redoStack.pop());
+        this.notify();
+    }
+
+    // Put one side of an entry on screen. Returns false, changing nothing,
+    // while someone else holds the lock of a part it moves.
+    apply(entry, side) {
+        const app = this.app;
+        const partIds = entry.type === 'transform' ? [entry.partId] : Object.keys((side && side.transforms) || {});
+        if (partIds.some((partId) => app.partLockManager.isLockedByOther(partId))) {
+            if (this.onBlocked) this.onBlocked();
+            return false;
+        }
+        if (entry.type === 'transform') {
+            app.setPartTransform(entry.partId, side);
+        } else if (entry.type === 'visibility') {
+            app.replacePartVisibility(side);
+        } else if (entry.type === 'reset') {
+            Object.entries(side.transforms).forEach(([partId, transform]) => app.setPartTransform(partId, transform));
+            app.replacePartVisibility(side.visibility);
+            app.explode(side.explode);
+            app.selectVariant(side.variant);
+            app.replaceSectionPlanes(side.sections);
+        }
+        return true;
+    }
+}
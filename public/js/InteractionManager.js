@@ -23,6 +23,13 @@ export class InteractionManager {
         this.lastControllerPosition = new THREE.Vector3();
         this.raycaster = new THREE.Raycaster();
         this.draggableObjects = [];
+        // Off while a scene tool (annotate, measure, ...) takes the clicks.
+        this.dragEnabled = true;
+        // Optional callbacks for a part grabbed with a controller. onGrab can
+        // return false to refuse the grab (e.g. someone else holds the part).
+        this.onGrab = null;
+        this.onMove = null;
+        this.onRelease = null;
 
         this.setupOrbitControls();
         this.setupDragControls();
@@ -148,10 +155,14 @@ export class InteractionManager {
         
         if (intersects.length > 0) {
             let targetObject = intersects[0].object;
-            // Traverse upward to find the parent product container.
-            while (targetObject.parent && targetObject.parent !== this.scene) {
+            // Traverse upward to find the part container that was hit.
+            while (targetObject.parent && !this.draggableObjects.includes(targetObject)) {
                 targetObject = targetObject.parent;
             }
+            if (this.onGrab && this.onGrab(targetObject) === false) {
+                console.log("Grab refused:", targetObject.name || targetObject.uuid);
+                return;
+            }
             
             console.log("Selected object:", targetObject.name || targetObject.uuid);
             this.selectedObject = targetObject;
@@ -162,6 +173,14 @@ export class InteractionManager {
     
     onControllerSelectEnd() {
         console.log("Controller select end");
+        if (this.selectedObject && this.onRelease) {
+            this.onRelease(this.selectedObject);
+        }
+        this.dropSelection();
+    }
+
+    // Let go of the grabbed part without reporting a release.
+    dropSelection() {
         this.selectedObject = null;
         this.activeController = null;
         this.rotationMode = false; // End any active rotation.
@@ -189,9 +208,15 @@ export class InteractionManager {
         this.draggableObjects = objects;
         this.dragControls.dispose();
         this.dragControls = new DragControls(objects, this.camera, this.domElement);
+        this.dragControls.enabled = this.dragEnabled;
         this.setupDragControlsEvents();
     }
 
+    setDragEnabled(enabled) {
+        this.dragEnabled = enabled;
+        this.dragControls.enabled = enabled;
+    }
+
     update() {
         if (this.selectedObject && this.activeController && this.isXRSessionActive) {
             if (this.rotationMode) {
@@ -212,9 +237,18 @@ export class InteractionManager {
                     delta.multiplyScalar(2.0);
                 }
                 
+                // Parts sit inside the (possibly placed and scaled) product group.
+                const parent = this.selectedObject.parent;
+                if (parent) {
+                    delta = parent.worldToLocal(currentPosition.clone())
+                        .sub(parent.worldToLocal(currentPosition.clone().sub(delta)));
+                }
                 this.selectedObject.position.add(delta);
                 this.lastControllerPosition.copy(currentPosition);
             }
+            if (this.onMove) {
+                this.onMove(this.selectedObject);
+            }
         }
         
         // Ensure orbit controls are updated when not in XR session.
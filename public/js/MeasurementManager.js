@@ -0,0 +1,224 @@
+import * as THREE from 'three';
+import { createLabel, removeLabel, placeLabel } from './labelLayer.js';
+
+// Scene metres per manifest unit.
+const METERS_PER_UNIT = { m: 1, cm: 0.01, mm: 0.001, in: 0.0254 };
+
+// Point-to-point measurements picked on part surfaces. Clicking while the
+// measure tool is active adds a point to the current chain; each segment gets
+// a dimension line and a distance label. Like annotations, points are stored
+// in the local space of their part's model so they follow drags and explode.
+// The host's measurements are synced through the server; a viewer's own
+// measurements stay on their screen (`local: true`).
+export class MeasurementManager {
+    constructor(app) {
+        this.app = app;
+        this.measurements = [];
+        // Id of the chain that new points are added to.
+        this.activeId = null;
+        this.unit = 'mm';
+        // measurement id -> { line, markers, labels }
+        this.visuals = new Map();
+    }
+
+    setUnit(unit) {
+        this.unit = unit;
+    }
+
+    // Replace the synced measurements, keeping this client's local ones and
+    // the chain being picked, which the server may not have (all of) yet.
+    setMeasurements(measurements) {
+        const local = this.measurements.filter((measurement) => measurement.local);
+        const active = this.measurements.find((measurement) => measurement.id === this.activeId && !measurement.local);
+        const synced = (measurements || []).filter((measurement) => !active || measurement.id !== active.id);
+        this.measurements = [...synced, ...(active ? [active] : []), ...local];
+        if (this.activeId && !this.measurements.some((measurement) => measurement.id === this.activeId)) {
+            this.activeId = null;
+        }
+        this.refreshVisuals();
+    }
+
+    clear() {
+        this.activeId = null;
+        this.measurements = [];
+        this.refreshVisuals();
+    }
+
+    addPoint(hit) {
+        const point = {
+            partId: hit.partId,
+            position: hit.container.children[0].worldToLocal(hit.point.clone()).toArray()
+        };
+        let measurement = this.measurements.find((candidate) => candidate.id === this.activeId);
+        if (!measurement) {
+            measurement = {
+                id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+                points: [],
+                local: !this.app.isHost
+            };
+            this.measurements.push(measurement);
+            this.activeId = measurement.id;
+        }
+        measurement.points.push(point);
+        if (!measurement.local && measurement.points.length >= 2) {
+            this.app.socket.emit('measurement-save', { id: measurement.id, points: measurement.points });
+        }
+        this.refreshVisuals();
+    }
+
+    // End the current chain; a single point on its own is dropped.
+    finish() {
+        const measurement = this.measurements.find((candidate) => candidate.id === this.activeId);
+        this.activeId = null;
+        if (measurement && measurement.points.length < 2) {
+            this.measurements = this.measurements.filter((candidate) => candidate !== measurement);
+            this.refreshVisuals();
+        }
+    }
+
+    remove(id) {
+        const measurement = this.measurements.find((candidate) => candidate.id === id);
+        if (!measurement) return;
+        if (this.activeId === id) {
+            this.activeId = null;
+        }
+        if (measurement.local) {
+            this.measurements = this.measurements.filter((candidate) => candidate !== measurement);
+            this.refreshVisuals();
+        } else if (this.app.isHost) {
+            this.app.socket.emit('measurement-remove', { id });
+        }
+    }
+
+    // Create or drop lines and labels so they match the measurement list.
+    refreshVisuals() {
+        const ids = new Set(this.measurements.map((measurement) => measurement.id));
+        this.visuals.forEach((visual, id) => {
+            if (!ids.has(id)) {
+                this.disposeVisual(visual);
+                this.visuals.delete(id);
+            }
+        });
+        this.measurements.forEach((measurement) => {
+            let visual = this.visuals.get(measurement.id);
+            if (!visual) {
+                visual = this.createVisual(measurement);
+                this.visuals.set(measurement.id, visual);
+            }
+            while (visual.labels.length < measurement.points.length - 1) {
+                visual.labels.push(this.createDistanceLabel(measurement));
+            }
+            // Only the last segment's label carries the remove button.
+            visual.labels.forEach((label, index) => {
+                const removable = measurement.local || this.app.isHost;
+                label.removeButton.style.display = removable && index === visual.labels.length - 1 ? 'inline' : 'none';
+            });
+        });
+    }
+
+    createVisual(measurement) {
+        // Drawn on top of the product so the dimension is never hidden inside it.
+        const color = measurement.local ? 0x0077cc : 0xd00024;
+        const line = new THREE.Line(
+            new THREE.BufferGeometry(),
+            new THREE.LineBasicMaterial({ color, depthTest: false })
+        );
+        const markers = new THREE.Points(
+            line.geometry,
+            new THREE.PointsMaterial({ color, size: 8, sizeAttenuation: false, depthTest: false })
+        );
+        line.renderOrder = 999;
+        markers.renderOrder = 999;
+        this.app.scene.add(line);
+        this.app.scene.add(markers);
+        return { line, markers, labels: [] };
+    }
+
+    createDistanceLabel(measurement) {
+        const label = createLabel();
+        label.style.display = 'none';
+        label.style.padding = '2px 8px';
+        label.style.borderRadius = '9999px';
+        label.style.backgroundColor = measurement.local ? '#0077cc' : '#d00024';
+        label.style.color = 'white';
+
+        const text = document.createElement('span');
+        label.appendChild(text);
+        label.text = text;
+
+        const removeButton = document.createElement('button');
+        removeButton.textContent = '×';
+        removeButton.title = 'Delete measurement';
+        removeButton.style.marginLeft = '4px';
+        removeButton.style.border = 'none';
+        removeButton.style.background = 'none';
+        removeButton.style.color = 'white';
+        removeButton.style.cursor = 'pointer';
+        removeButton.style.pointerEvents = 'auto';
+        removeButton.addEventListener('click', () => this.remove(measurement.id));
+        label.appendChild(removeButton);
+        label.removeButton = removeButton;
+        return label;
+    }
+
+    disposeVisual(visual) {
+        this.app.scene.remove(visual.line);
+        this.app.scene.remove(visual.markers);
+        visual.line.geometry.dispose();
+        visual.line.material.dispose();
+        visual.markers.material.dispose();
+        visual.labels.forEach((label) => removeLabel(label));
+    }
+
+    formatDistance(productUnits) {
+        const manifest = this.app.productManifest;
+        const meters = productUnits * METERS_PER_UNIT[manifest ? manifest.units : 'm'];
+        return this.unit === 'in' ? `${(meters / 0.0254).toFixed(2)} in` : `${(meters * 1000).toFixed(1)} mm`;
+    }
+
+    // Write the points into the shared line/marker geometry, reallocating only when the count changes.
+    updateGeometry(geometry, points) {
+        let attribute = geometry.getAttribute('position');
+        if (!attribute || attribute.count !== points.length) {
+            geometry.dispose();
+            attribute = new THREE.Float32BufferAttribute(points.length * 3, 3);
+            geometry.setAttribute('position', attribute);
+        }
+        points.forEach((point, index) => attribute.setXYZ(index, point.x, point.y, point.z));
+        attribute.needsUpdate = true;
+        geometry.computeBoundingSphere();
+    }
+
+    // Follow the parts the points are pinned to; called once per frame.
+    update() {
+        const productGroup = this.app.productGroup;
+        this.measurements.forEach((measurement) => {
+            const visual = this.visuals.get(measurement.id);
+            const worldPoints = measurement.points.map((point) => {
+                const container = this.app.loadedModels.get(point.partId);
+                const model = container && container.children[0];
+                if (!model || !container.visible) return null;
+                return model.localToWorld(new THREE.Vector3().fromArray(point.position));
+            });
+            const shown = productGroup.visible && worldPoints.every(Boolean);
+            visual.line.visible = shown;
+            visual.markers.visible = shown;
+            if (!shown) {
+                visual.labels.forEach((label) => {
+                    label.style.display = 'none';
+                });
+                return;
+            }
+            this.updateGeometry(visual.line.geometry, worldPoints);
+            visual.labels.forEach((label, index) => {
+                const start = worldPoints[index];
+                const end = worldPoints[index + 1];
+                // Distances are measured in the product's own units, whatever its placement.
+                const distance = productGroup.worldToLocal(start.clone())
+                    .distanceTo(productGroup.worldToLocal(end.clone()));
+                label.text.textContent = this.formatDistance(distance);
+                placeLabel(label, start.clone().lerp(end, 0.5), this.app.camera);
+            });
+        });
+    }
+}
@@ -0,0 +1,97 @@
+import * as THREE from 'three';
+import { createLabel, removeLabel, placeLabel } from './labelLayer.js';
+
+// Part locks for co-presenting. The host and presenters can all move parts;
+// whoever starts moving one (a mouse drag or an XR select) asks the server for
+// its lock, and lets go when the move ends. A part someone else holds can't
+// be picked up here and carries a label naming who has it.
+export class PartLockManager {
+    constructor(app) {
+        this.app = app;
+        // partId -> { id, name, color } of the holder, as sent by the server.
+        this.locks = {};
+        // partId -> label, for parts held by someone else.
+        this.labels = new Map();
+        // Parts let go here whose unlock the server hasn't confirmed yet. A
+        // lock list sent before the unlock arrived still names us for them.
+        this.released = new Set();
+    }
+
+    setLocks(locks) {
+        this.locks = { ...locks };
+        this.released.forEach((partId) => {
+            const lock = this.locks[partId];
+            if (lock && lock.id === this.app.socket.id) {
+                delete this.locks[partId];
+            } else {
+                this.released.delete(partId);
+            }
+        });
+        this.refreshLabels();
+    }
+
+    isLockedBySelf(partId) {
+        const lock = this.locks[partId];
+        return !!lock && lock.id === this.app.socket.id;
+    }
+
+    isLockedByOther(partId) {
+        const lock = this.locks[partId];
+        return !!lock && lock.id !== this.app.socket.id;
+    }
+
+    // Ask for a part's lock. It is taken optimistically so the first moves go
+    // out straight away; the server's answer replaces it if someone was first.
+    acquire(partId) {
+        if (!this.app.canMoveParts() || this.isLockedByOther(partId)) return false;
+        this.locks[partId] = { id: this.app.socket.id };
+        this.released.delete(partId);
+        this.app.socket.emit('part-lock', { partId });
+        return true;
+    }
+
+    release(partId) {
+        if (!this.isLockedBySelf(partId)) return;
+        delete this.locks[partId];
+        this.released.add(partId);
+        this.app.socket.emit('part-unlock', { partId });
+    }
+
+    refreshLabels() {
+        this.labels.forEach((label, partId) => {
+            if (!this.isLockedByOther(partId)) {
+                removeLabel(label);
+                this.labels.delete(partId);
+            }
+        });
+        Object.entries(this.locks).forEach(([partId, lock]) => {
+            if (!this.isLockedByOther(partId)) return;
+            let label = this.labels.get(partId);
+            if (!label) {
+                label = createLabel();
+                label.style.padding = '1px 8px';
+                label.style.borderRadius = '9999px';
+                label.style.color = 'white';
+                label.style.fontSize = '11px';
+                this.labels.set(partId, label);
+            }
+            label.textContent = `🔒 ${lock.name || 'Someone'}`;
+            label.style.backgroundColor = lock.color || '#555';
+        });
+    }
+
+    // Keep labels above the parts they belong to; called once per frame.
+    update() {
+        this.labels.forEach((label, partId) => {
+            const container = this.app.loadedModels.get(partId);
+            if (!container || !container.visible || !this.app.productGroup.visible) {
+                label.style.display = 'none';
+                return;
+            }
+            const box = new THREE.Box3().setFromObject(container);
+            const top = box.getCenter(new THREE.Vector3());
+            top.y = box.max.y;
+            placeLabel(label, top, this.app.camera);
+        });
+    }
+}
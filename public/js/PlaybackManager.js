@@ -0,0 +1,149 @@
+// Events that rebuild the whole scene; seeking replays from the last one.
+const SCENE_EVENTS = ['session-state', 'product-selected', 'product-upload-complete', 'product-removed'];
+// Events whose latest value replaces any earlier one, so a seek only needs
+// the last of each.
+const LATEST_WINS = [
+    'camera-update',
+    'host-pointer-toggle',
+    'host-pointer-update',
+    'part-visibility',
+    'section-update',
+    'variant-change',
+    'explode',
+    'measurements',
+    'annotations',
+    'views',
+    'tours',
+    'chat'
+];
+
+function replayKey(entry, index) {
+    // A flight to a saved view is just another way the camera moved.
+    if (entry.event === 'view-recall') return 'camera-update';
+    if (entry.event === 'model-transform') return `model-transform:${entry.data.customId}`;
+    return LATEST_WINS.includes(entry.event) ? entry.event : index;
+}
+
+// Plays a recorded session (see /api/recordings) back through the app's own
+// socket listeners, as if the events were arriving from the host live. The
+// app's socket stays disconnected while a recording plays.
+export class PlaybackManager {
+    constructor(app) {
+        this.app = app;
+        // { id, roomId, startedAt, startedBy } from the recording's first line.
+        this.header = null;
+        // [{ t, event, data }] in recording order; `t` is ms from the start.
+        this.events = [];
+        this.duration = 0;
+        // Current time in the recording, in ms.
+        this.position = 0;
+        this.playing = false;
+        // Index of the next event to play.
+        this.nextIndex = 0;
+        this.lastTick = 0;
+        // Counts seeks, so a seek still waiting on its scene rebuild can tell it was overtaken.
+        this.seekCount = 0;
+        this.seeking = false;
+        // Called whenever the time or play state changes, e.g. to redraw the player.
+        this.onChange = null;
+    }
+
+    notify() {
+        if (this.onChange) this.onChange();
+    }
+
+    async load(recordingId) {
+        const response = await fetch(`/api/recordings/${encodeURIComponent(recordingId)}`, {
+            headers: this.app.hostCredentialHeaders()
+        });
+        if (!response.ok) {
+            const error = new Error((await response.json().catch(() => ({}))).error || response.statusText);
+            error.status = response.status;
+            throw error;
+        }
+        const [header, ...events] = (await response.text())
+            .split('\n')
+            .filter((line) => line.trim())
+            .map((line) => JSON.parse(line));
+        this.header = header;
+        this.events = events;
+        this.duration = events.length ? events[events.length - 1].t : 0;
+        await this.seek(0);
+    }
+
+    // Resolves once the listeners are done, e.g. when a scene has finished loading.
+    dispatch(entry) {
+        return Promise.all(this.app.socket.listeners(entry.event).map((listener) => listener(entry.data)));
+    }
+
+    play() {
+        if (this.position >= this.duration) {
+            this.seek(0);
+        }
+        this.playing = true;
+        this.lastTick = performance.now();
+        this.notify();
+    }
+
+    pause() {
+        this.playing = false;
+        this.notify();
+    }
+
+    // Jump to a time: replay from the last scene rebuild before it, skipping
+    // changes that a later one in the same stretch overwrites. The rebuild
+    // loads models, so the changes after it wait until it is done.
+    async seek(position) {
+        const seekId = ++this.seekCount;
+        this.seeking = true;
+        this.position = Math.min(Math.max(position, 0), this.duration);
+        let end = this.events.findIndex((entry) => entry.t > this.position);
+        if (end === -1) end = this.events.length;
+        let start = 0;
+        for (let index = end - 1; index >= 0; index--) {
+            if (SCENE_EVENTS.includes(this.events[index].event)) {
+                start = index;
+                break;
+            }
+        }
+        // Parts moved later in the recording go back to their defaults first;
+        // the replay only covers parts that had moved by then.
+        this.app.resetPartTransforms();
+        const latest = new Map();
+        for (let index = start; index < end; index++) {
+            latest.set(replayKey(this.events[index], index), index);
+        }
+        // The chat outlives product switches, so it may come from before the rebuild.
+        const chatIndex = this.events.slice(0, end).map((entry) => entry.event).lastIndexOf('chat');
+        if (start > 0 && chatIndex < start) {
+            const messages = chatIndex >= 0 ? this.events[chatIndex].data.messages : this.events[0].data.chat;
+            this.dispatch({ event: 'chat', data: { messages } });
+        }
+        const replay = [...latest.values()].sort((a, b) => a - b);
+        if (replay.length > 0 && SCENE_EVENTS.includes(this.events[replay[0]].event)) {
+            await this.dispatch(this.events[replay.shift()]);
+            if (seekId !== this.seekCount) return;
+        }
+        replay.forEach((index) => this.dispatch(this.events[index]));
+        this.nextIndex = end;
+        this.seeking = false;
+        this.lastTick = performance.now();
+        this.notify();
+    }
+
+    // Play the events that have come due; called once per frame.
+    update() {
+        if (!this.playing || this.seeking) return;
+        const now = performance.now();
+        this.position = Math.min(this.position + now - this.lastTick, this.duration);
+        this.lastTick = now;
+        while (this.nextIndex < this.events.length && this.events[this.nextIndex].t <= this.position) {
+            this.dispatch(this.events[this.nextIndex]);
+            this.nextIndex++;
+        }
+        if (this.position >= this.duration) {
+            this.playing = false;
+        }
+        this.notify();
+    }
+}
@@ -0,0 +1,109 @@
+import * as THREE from 'three';
+import { createLabel, removeLabel, placeLabel } from './labelLayer.js';
+
+// How often this client's cursor is sent while it moves.
+const SEND_INTERVAL = 50;
+const CURSOR_RADIUS = 0.004;
+
+// Named, colour-coded 3D cursors for the other participants. Anyone can share
+// their own cursor (the host keeps the separate, outlined host pointer) and
+// choose whether to see everybody else's. Positions travel in productGroup
+// space so they land on the same spot of the product wherever it is placed.
+export class PresenceManager {
+    constructor(app) {
+        this.app = app;
+        // Whether this client shares its cursor.
+        this.enabled = false;
+        // Whether the other participants' cursors are drawn.
+        this.showOthers = true;
+        // socket id -> { mesh, label, position }
+        this.cursors = new Map();
+        this.lastSent = 0;
+        this.lastPosition = null;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled && this.lastPosition) {
+            this.lastPosition = null;
+            this.app.socket.emit('cursor-update', { position: null });
+        }
+    }
+
+    setShowOthers(show) {
+        this.showOthers = show;
+    }
+
+    // A cursor moved, or left the product (position null).
+    onCursorUpdate(data) {
+        if (!data.position) {
+            this.removeCursor(data.id);
+            return;
+        }
+        let cursor = this.cursors.get(data.id);
+        if (!cursor) {
+            cursor = this.createCursor(data);
+            this.cursors.set(data.id, cursor);
+        }
+        cursor.label.textContent = data.name;
+        cursor.position = new THREE.Vector3().fromArray(data.position);
+    }
+
+    createCursor(data) {
+        const mesh = new THREE.Mesh(
+            new THREE.SphereGeometry(CURSOR_RADIUS, 16, 16),
+            new THREE.MeshBasicMaterial({ color: data.color })
+        );
+        mesh.raycast = () => {};
+        this.app.scene.add(mesh);
+
+        const label = createLabel();
+        label.style.marginTop = '-18px';
+        label.style.padding = '1px 8px';
+        label.style.borderRadius = '9999px';
+        label.style.backgroundColor = data.color;
+        label.style.color = 'white';
+        label.style.fontSize = '11px';
+        return { mesh, label, position: null };
+    }
+
+    removeCursor(id) {
+        const cursor = this.cursors.get(id);
+        if (!cursor) return;
+        this.app.scene.remove(cursor.mesh);
+        cursor.mesh.geometry.dispose();
+        cursor.mesh.material.dispose();
+        removeLabel(cursor.label);
+        this.cursors.delete(id);
+    }
+
+    // Send this client's cursor where the pointer meets the product.
+    sendOwnCursor() {
+        const now = performance.now();
+        if (now - this.lastSent < SEND_INTERVAL) return;
+        const hit = this.app.raycastProduct(this.app.pointerNDC);
+        const position = hit ? this.app.productGroup.worldToLocal(hit.point.clone()).toArray() : null;
+        const unchanged = position && this.lastPosition && position.every((value, index) => value === this.lastPosition[index]);
+        if (unchanged || (!position && !this.lastPosition)) return;
+        this.lastSent = now;
+        this.lastPosition = position;
+        this.app.socket.emit('cursor-update', { position });
+    }
+
+    // Called once per frame.
+    update() {
+        if (this.enabled) {
+            this.sendOwnCursor();
+        }
+        this.cursors.forEach((cursor) => {
+            const shown = this.showOthers && this.app.productGroup.visible && !!cursor.position;
+            cursor.mesh.visible = shown;
+            if (!shown) {
+                cursor.label.style.display = 'none';
+                return;
+            }
+            this.app.productGroup.localToWorld(cursor.mesh.position.copy(cursor.position));
+            placeLabel(cursor.label, cursor.mesh.position, this.app.camera);
+        });
+    }
+}
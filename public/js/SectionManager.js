@@ -0,0 +1,281 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+
+const MAX_PLANES = 6;
+// Colour of the cut faces.
+const CAP_COLOR = 0xb0001d;
+// How often a dragged plane is sent to the server.
+const SEND_INTERVAL = 50;
+const FORWARD = new THREE.Vector3(0, 0, 1);
+
+// Cross-section planes for looking inside the assembly. Planes are kept in
+// productGroup space as { id, normal, constant } (the part where
+// normal · p + constant < 0 is cut away), so the cut moves with the product
+// when it is placed in AR. Product materials are clipped by every plane and
+// each plane gets a stencil-based cap that fills in the cut faces. The host
+// moves the selected plane with a handle; every change is sent to viewers.
+export class SectionManager {
+    constructor(app) {
+        this.app = app;
+        this.planes = [];
+        // World-space planes, one per entry in `planes`, updated every frame.
+        this.worldPlanes = [];
+        this.caps = [];
+        this.stencilMeshes = [];
+        this.selectedId = null;
+        this.lastSent = 0;
+
+        this.app.renderer.localClippingEnabled = true;
+
+        // The handle is a translucent square the transform gizmo is attached to.
+        this.handle = new THREE.Mesh(
+            new THREE.PlaneGeometry(1, 1),
+            new THREE.MeshBasicMaterial({
+                color: 0xd00024,
+                transparent: true,
+                opacity: 0.15,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            })
+        );
+        this.handle.raycast = () => {};
+        this.handle.visible = false;
+        this.app.scene.add(this.handle);
+
+        this.transformControls = new TransformControls(this.app.camera, this.app.renderer.domElement);
+        this.transformControls.setSpace('local');
+        this.transformControls.addEventListener('dragging-changed', (event) => {
+            this.app.orbitControls.enabled = !event.value;
+            if (!event.value) {
+                this.sendPlanes();
+            }
+        });
+        this.transformControls.addEventListener('objectChange', () => this.onHandleMoved());
+        this.setHandleMode('translate');
+        this.app.scene.add(this.transformControls);
+    }
+
+    // 'translate' slides the plane along its normal; 'rotate' tilts it.
+    setHandleMode(mode) {
+        this.handleMode = mode;
+        this.transformControls.setMode(mode);
+        this.transformControls.showX = mode === 'rotate';
+        this.transformControls.showY = mode === 'rotate';
+        this.transformControls.showZ = mode === 'translate';
+    }
+
+    // Replace every plane, e.g. with the host's planes from the server.
+    setPlanes(planes) {
+        this.planes = (planes || []).map((plane) => ({ ...plane }));
+        if (!this.planes.some((plane) => plane.id === this.selectedId)) {
+            this.selectedId = this.planes.length ? this.planes[this.planes.length - 1].id : null;
+        }
+        this.rebuild();
+    }
+
+    // Add a plane through the middle of the product, facing along an axis.
+    addPlane(axis) {
+        if (this.planes.length >= MAX_PLANES) return;
+        const normal = new THREE.Vector3(axis === 'x' ? 1 : 0, axis === 'y' ? 1 : 0, axis === 'z' ? 1 : 0);
+        const box = new THREE.Box3();
+        this.app.loadedModels.forEach((container) => box.expandByObject(container));
+        const center = box.isEmpty() ? new THREE.Vector3() : this.app.productGroup.worldToLocal(box.getCenter(new THREE.Vector3()));
+        const plane = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            axis,
+            normal: normal.toArray(),
+            constant: -normal.dot(center)
+        };
+        this.planes.push(plane);
+        this.selectedId = plane.id;
+        this.rebuild();
+        this.sendPlanes();
+    }
+
+    flipPlane(id) {
+        const plane = this.planes.find((candidate) => candidate.id === id);
+        if (!plane) return;
+        plane.normal = plane.normal.map((value) => -value);
+        plane.constant = -plane.constant;
+        this.sendPlanes();
+    }
+
+    removePlane(id) {
+        this.planes = this.planes.filter((plane) => plane.id !== id);
+        if (this.selectedId === id) {
+            this.selectedId = this.planes.length ? this.planes[this.planes.length - 1].id : null;
+        }
+        this.rebuild();
+        this.sendPlanes();
+    }
+
+    selectPlane(id) {
+        this.selectedId = id;
+        this.updateHandle();
+    }
+
+    sendPlanes() {
+        this.lastSent = performance.now();
+        if (this.app.isHost) {
+            this.app.socket.emit('section-update', { planes: this.planes });
+        }
+    }
+
+    // Handle dragged: read the plane back from it.
+    onHandleMoved() {
+        const plane = this.planes.find((candidate) => candidate.id === this.selectedId);
+        if (!plane) return;
+        const normal = FORWARD.clone().applyQuaternion(this.handle.quaternion);
+        const worldPlane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal, this.handle.position);
+        const inverse = this.app.productGroup.matrixWorld.clone().invert();
+        worldPlane.applyMatrix4(inverse);
+        plane.normal = worldPlane.normal.toArray();
+        plane.constant = worldPlane.constant;
+        if (performance.now() - this.lastSent > SEND_INTERVAL) {
+            this.sendPlanes();
+        }
+    }
+
+    // Recreate the world planes, stencil meshes and caps after planes or parts change.
+    rebuild() {
+        this.stencilMeshes.forEach((mesh) => {
+            mesh.parent.remove(mesh);
+            mesh.material.dispose();
+        });
+        this.caps.forEach((cap) => {
+            this.app.scene.remove(cap);
+            cap.geometry.dispose();
+            cap.material.dispose();
+        });
+        this.stencilMeshes = [];
+        this.caps = [];
+        this.worldPlanes = this.planes.map(() => new THREE.Plane());
+
+        const productMeshes = this.getProductMeshes();
+        // Materials need a fresh array when the plane count changes.
+        productMeshes.forEach((mesh) => this.clipMaterials(mesh, true));
+
+        this.worldPlanes.forEach((worldPlane, index) => {
+            const renderOrder = index + 1;
+            productMeshes.forEach((mesh) => {
+                this.addStencilMesh(mesh, worldPlane, THREE.BackSide, THREE.IncrementWrapStencilOp, renderOrder);
+                this.addStencilMesh(mesh, worldPlane, THREE.FrontSide, THREE.DecrementWrapStencilOp, renderOrder);
+            });
+
+            // The cap draws wherever the stencil marks the inside of a cut mesh.
+            const cap = new THREE.Mesh(
+                new THREE.PlaneGeometry(1, 1),
+                new THREE.MeshStandardMaterial({
+                    color: CAP_COLOR,
+                    metalness: 0.1,
+                    roughness: 0.75,
+                    side: THREE.DoubleSide,
+                    clippingPlanes: this.worldPlanes.filter((other) => other !== worldPlane),
+                    stencilWrite: true,
+                    stencilRef: 0,
+                    stencilFunc: THREE.NotEqualStencilFunc,
+                    stencilFail: THREE.ReplaceStencilOp,
+                    stencilZFail: THREE.ReplaceStencilOp,
+                    stencilZPass: THREE.ReplaceStencilOp
+                })
+            );
+            cap.raycast = () => {};
+            cap.renderOrder = renderOrder + 0.1;
+            cap.onAfterRender = (renderer) => renderer.clearStencil();
+            this.app.scene.add(cap);
+            this.caps.push(cap);
+        });
+        this.updateHandle();
+    }
+
+    getProductMeshes() {
+        const meshes = [];
+        this.app.loadedModels.forEach((container) => {
+            container.traverse((object) => {
+                if (object.isMesh && !object.userData.isSectionStencil) meshes.push(object);
+            });
+        });
+        return meshes;
+    }
+
+    // Clip a product mesh's materials by every plane (materials can be swapped by variants).
+    clipMaterials(mesh, force = false) {
+        const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+        materials.forEach((material) => {
+            if (force || material.clippingPlanes !== this.worldPlanes) {
+                material.clippingPlanes = this.worldPlanes.length ? this.worldPlanes : null;
+            }
+        });
+    }
+
+    // Stencil-only copy of a mesh: back faces count up and front faces count
+    // down, leaving a non-zero stencil where the plane cuts through the solid.
+    addStencilMesh(mesh, worldPlane, side, stencilOp, renderOrder) {
+        const stencilMesh = new THREE.Mesh(mesh.geometry, new THREE.MeshBasicMaterial({
+            side,
+            depthWrite: false,
+            depthTest: false,
+            colorWrite: false,
+            stencilWrite: true,
+            stencilFunc: THREE.AlwaysStencilFunc,
+            stencilFail: stencilOp,
+            stencilZFail: stencilOp,
+            stencilZPass: stencilOp,
+            clippingPlanes: [worldPlane]
+        }));
+        stencilMesh.userData.isSectionStencil = true;
+        stencilMesh.raycast = () => {};
+        stencilMesh.renderOrder = renderOrder;
+        mesh.add(stencilMesh);
+        this.stencilMeshes.push(stencilMesh);
+    }
+
+    // Show the gizmo on the selected plane while the section tool is active.
+    updateHandle() {
+        const plane = this.planes.find((candidate) => candidate.id === this.selectedId);
+        const editing = !!plane && this.app.activeTool === 'section' && this.app.isHost;
+        this.handle.visible = editing;
+        if (editing) {
+            this.transformControls.attach(this.handle);
+        } else {
+            this.transformControls.detach();
+        }
+    }
+
+    // Keep world planes, caps and the handle on the product; called once per frame.
+    update() {
+        if (this.planes.length === 0) return;
+        const productGroup = this.app.productGroup;
+        productGroup.updateMatrixWorld();
+        const box = new THREE.Box3();
+        this.app.loadedModels.forEach((container) => box.expandByObject(container));
+        const size = box.isEmpty() ? 1 : box.getSize(new THREE.Vector3()).length() * 1.5;
+        const center = box.isEmpty() ? new THREE.Vector3() : box.getCenter(new THREE.Vector3());
+
+        this.planes.forEach((plane, index) => {
+            const worldPlane = this.worldPlanes[index];
+            worldPlane.normal.fromArray(plane.normal);
+            worldPlane.constant = plane.constant;
+            worldPlane.applyMatrix4(productGroup.matrixWorld);
+
+            // Centre the cap (and the handle) on the product's projection onto the plane.
+            const cap = this.caps[index];
+            worldPlane.projectPoint(center, cap.position);
+            cap.quaternion.setFromUnitVectors(FORWARD, worldPlane.normal);
+            cap.scale.set(size, size, 1);
+            cap.visible = productGroup.visible;
+
+            if (plane.id === this.selectedId && !this.transformControls.dragging) {
+                this.handle.position.copy(cap.position);
+                this.handle.quaternion.copy(cap.quaternion);
+                this.handle.scale.set(size * 0.6, size * 0.6, 1);
+            }
+        });
+
+        this.app.loadedModels.forEach((container) => {
+            container.traverse((object) => {
+                if (object.isMesh && !object.userData.isSectionStencil) this.clipMaterials(object);
+            });
+        });
+    }
+}
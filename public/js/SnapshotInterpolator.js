@@ -0,0 +1,72 @@
+import * as THREE from 'three';
+
+// How far behind the newest update viewers play back, so there is usually a
+// later snapshot to move towards: about one and a half network ticks.
+const INTERPOLATION_DELAY = 100;
+
+// A camera or part state ({ position, rotation, scale, target } arrays) as
+// THREE objects, with the rotation as a quaternion for slerping.
+export function toSnapshot(state) {
+    const snapshot = {
+        position: new THREE.Vector3().fromArray(state.position),
+        quaternion: new THREE.Quaternion().setFromEuler(new THREE.Euler().fromArray(state.rotation))
+    };
+    if (state.scale) snapshot.scale = new THREE.Vector3().fromArray(state.scale);
+    if (state.target) snapshot.target = new THREE.Vector3().fromArray(state.target);
+    return snapshot;
+}
+
+// Smooths the host's camera and part updates on viewers. Snapshots are
+// buffered with their arrival time and played back slightly delayed, lerping
+// positions and slerping rotations between neighbours. Once the last snapshot
+// has been reached the stream is dropped, leaving the object where it ended.
+export class SnapshotInterpolator {
+    constructor(delay = INTERPOLATION_DELAY) {
+        this.delay = delay;
+        // key -> [{ time, position, quaternion, scale?, target? }], oldest first
+        this.buffers = new Map();
+    }
+
+    // `current` is the object's state right now; a new stream starts from it.
+    push(key, snapshot, current) {
+        const now = performance.now();
+        let buffer = this.buffers.get(key);
+        if (!buffer) {
+            buffer = current ? [{ ...current, time: now - this.delay }] : [];
+            this.buffers.set(key, buffer);
+        }
+        buffer.push({ ...snapshot, time: now });
+    }
+
+    clear(key) {
+        if (key === undefined) {
+            this.buffers.clear();
+        } else {
+            this.buffers.delete(key);
+        }
+    }
+
+    // The state to show for `key` this frame, or null when nothing is playing.
+    sample(key) {
+        const buffer = this.buffers.get(key);
+        if (!buffer) return null;
+        const renderTime = performance.now() - this.delay;
+        while (buffer.length >= 2 && buffer[1].time <= renderTime) {
+            buffer.shift();
+        }
+        const [from, to] = buffer;
+        if (!to) {
+            this.buffers.delete(key);
+            return from;
+        }
+        if (renderTime <= from.time) return from;
+        const alpha = (renderTime - from.time) / Math.max(1, to.time - from.time);
+        const state = {
+            position: from.position.clone().lerp(to.position, alpha),
+            quaternion: from.quaternion.clone().slerp(to.quaternion, alpha)
+        };
+        if (from.scale && to.scale) state.scale = from.scale.clone().lerp(to.scale, alpha);
+        if (from.target && to.target) state.target = from.target.clone().lerp(to.target, alpha);
+        return state;
+    }
+}
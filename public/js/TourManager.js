@@ -0,0 +1,154 @@
+// Runs the product's tours: scripted steps that each set a whole scene (camera,
+// hidden and moved parts, explode factor) and show a caption. The server
+// decides which step is on; every client, the host included, applies it when
+// `tour-step` arrives. The host can let the tour play, moving on once a
+// step's duration is up, and builds new tours from the scene as it stands.
+export class TourManager {
+    constructor(app) {
+        this.app = app;
+        // [{ id, name, steps }] saved with the product.
+        this.tours = [];
+        // { tourId, name, index, count, step } while a tour is on, else null.
+        this.current = null;
+        // Host only: advance through the steps on their own.
+        this.playing = false;
+        this.timer = null;
+        // Host only: the tour being authored, { id, name, steps }.
+        this.draft = null;
+        // Called when the tour, the step or the draft changes.
+        this.onChange = null;
+    }
+
+    notify() {
+        if (this.onChange) this.onChange();
+    }
+
+    setTours(tours) {
+        this.tours = tours || [];
+        this.notify();
+    }
+
+    // The scene as it stands, as a step with the given caption.
+    captureStep({ title = '', text = '', duration = 0 } = {}) {
+        const transforms = {};
+        this.app.loadedModels.forEach((container, partId) => {
+            transforms[partId] = {
+                position: container.position.toArray(),
+                rotation: container.rotation.toArray().slice(0, 3),
+                scale: container.scale.toArray()
+            };
+        });
+        return {
+            title,
+            text,
+            duration,
+            camera: this.app.getCameraState(),
+            visibility: { ...this.app.partVisibility },
+            transforms,
+            explode: this.app.explodeManager.target
+        };
+    }
+
+    // A step arrived from the server. Viewers exploring on their own keep
+    // their camera and part layout, but see the caption and the parts shown.
+    showStep(data) {
+        const app = this.app;
+        const { step } = data;
+        this.current = data;
+        app.partVisibility = { ...step.visibility };
+        app.applyPartVisibility();
+        app.explodeManager.animateTo(step.explode);
+        if (app.isHost || app.followHost) {
+            app.interpolator.clear();
+            app.applyPartTransforms(step.transforms);
+            if (!app.isARMode) {
+                app.viewpointManager.flyTo(step.camera);
+            }
+        }
+        this.schedule();
+        this.notify();
+    }
+
+    end() {
+        this.current = null;
+        this.setPlaying(false);
+    }
+
+    // Host: go to a step of the running tour, or start a tour with `tourId`.
+    goTo(index, tourId = this.current && this.current.tourId) {
+        this.app.socket.emit('tour-goto', { tourId, index });
+    }
+
+    next() {
+        if (this.current && this.current.index < this.current.count - 1) {
+            this.goTo(this.current.index + 1);
+        }
+    }
+
+    previous() {
+        if (this.current && this.current.index > 0) {
+            this.goTo(this.current.index - 1);
+        }
+    }
+
+    setPlaying(playing) {
+        this.playing = playing;
+        this.schedule();
+        this.notify();
+    }
+
+    // While playing, move on once the step's time is up; steps without a
+    // duration wait for Next. The last step ends the playing.
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.playing || !this.current || !this.app.isHost) return;
+        const { index, count, step } = this.current;
+        if (index >= count - 1) {
+            this.playing = false;
+        } else if (step.duration > 0) {
+            this.timer = setTimeout(() => this.next(), step.duration * 1000);
+        }
+    }
+
+    // -- Authoring (host) --
+
+    startDraft(tour = null) {
+        this.draft = tour
+            ? { id: tour.id, name: tour.name, steps: tour.steps.map((step) => ({ ...step })) }
+            : { id: null, name: '', steps: [] };
+        this.notify();
+    }
+
+    addDraftStep(caption) {
+        if (!this.draft) return;
+        this.draft.steps.push(this.captureStep(caption));
+        this.notify();
+    }
+
+    moveDraftStep(index, offset) {
+        const steps = this.draft.steps;
+        const target = index + offset;
+        if (target < 0 || target >= steps.length) return;
+        [steps[index], steps[target]] = [steps[target], steps[index]];
+        this.notify();
+    }
+
+    removeDraftStep(index) {
+        this.draft.steps.splice(index, 1);
+        this.notify();
+    }
+
+    saveDraft() {
+        if (!this.draft || !this.draft.name || this.draft.steps.length === 0) return false;
+        this.app.socket.emit('tour-save', this.draft);
+        this.draft = null;
+        this.notify();
+        return true;
+    }
+
+    cancelDraft() {
+        this.draft = null;
+        this.notify();
+    }
+}
@@ -0,0 +1,120 @@
+import * as THREE from 'three';
+
+// Switches the product between material variants. A variant is picked by
+// name and can come from two places:
+//  - glTF files using KHR_materials_variants, whose meshes swap to the
+//    material mapped to that variant;
+//  - the product manifest's `variants`, which override a part's colour,
+//    roughness and/or metalness.
+// A name defined in both applies the glTF materials first, then the overrides.
+// `null` puts back the materials the parts were loaded with.
+export class VariantManager {
+    constructor(app) {
+        this.app = app;
+        this.active = null;
+    }
+
+    // Remember a loaded part's glTF variants and preload their materials, so
+    // switching later happens in the same frame on every client.
+    registerModel(container, gltf) {
+        const extensions = gltf.userData.gltfExtensions || {};
+        const extension = extensions.KHR_materials_variants;
+        container.traverse((object) => {
+            if (object.isMesh) {
+                object.userData.originalMaterial = object.material;
+            }
+        });
+        if (!extension || !Array.isArray(extension.variants)) return;
+        container.userData.gltfVariants = { parser: gltf.parser, names: extension.variants.map((variant) => variant.name) };
+        container.traverse((object) => {
+            const mappings = this.getMappings(object);
+            mappings.forEach((mapping) => {
+                gltf.parser.getDependency('material', mapping.material).catch((error) => {
+                    console.error(`Could not preload variant material ${mapping.material}:`, error);
+                });
+            });
+        });
+    }
+
+    getMappings(object) {
+        if (!object.isMesh || !object.userData.gltfExtensions) return [];
+        const meshExtension = object.userData.gltfExtensions.KHR_materials_variants;
+        return meshExtension && Array.isArray(meshExtension.mappings) ? meshExtension.mappings : [];
+    }
+
+    // Every variant name the product offers, manifest variants first.
+    getVariantNames() {
+        const names = [];
+        const manifest = this.app.productManifest;
+        if (manifest && manifest.variants) {
+            manifest.variants.forEach((variant) => names.push(variant.name));
+        }
+        this.app.loadedModels.forEach((container) => {
+            const gltfVariants = container.userData.gltfVariants;
+            if (gltfVariants) {
+                gltfVariants.names.forEach((name) => {
+                    if (!names.includes(name)) names.push(name);
+                });
+            }
+        });
+        return names;
+    }
+
+    async apply(name) {
+        this.active = name || null;
+        await Promise.all(Array.from(this.app.loadedModels.values()).map((container) => this.applyToPart(container)));
+    }
+
+    async applyToPart(container) {
+        const name = this.active;
+        const manifest = this.app.productManifest;
+        const manifestVariant = name && manifest && manifest.variants
+            ? manifest.variants.find((variant) => variant.name === name)
+            : null;
+        const override = manifestVariant ? manifestVariant.parts[container.name] : null;
+        const gltfVariants = container.userData.gltfVariants;
+        const variantIndex = name && gltfVariants ? gltfVariants.names.indexOf(name) : -1;
+
+        const meshes = [];
+        container.traverse((object) => {
+            if (object.isMesh && object.userData.originalMaterial) meshes.push(object);
+        });
+        await Promise.all(meshes.map(async (mesh) => {
+            let material = mesh.userData.originalMaterial;
+            const mapping = variantIndex >= 0
+                ? this.getMappings(mesh).find((candidate) => candidate.variants.includes(variantIndex))
+                : null;
+            if (mapping) {
+                material = await gltfVariants.parser.getDependency('material', mapping.material);
+            }
+            // A newer switch may have started while the material was loading.
+            if (this.active !== name) return;
+            if (mesh.userData.variantMaterial) {
+                mesh.userData.variantMaterial.dispose();
+                mesh.userData.variantMaterial = null;
+            }
+            mesh.material = material;
+            if (mapping) {
+                gltfVariants.parser.assignFinalMaterial(mesh);
+            }
+            if (override && !Array.isArray(mesh.material)) {
+                mesh.material = this.overrideMaterial(mesh.material, override);
+                mesh.userData.variantMaterial = mesh.material;
+            }
+        }));
+    }
+
+    overrideMaterial(material, override) {
+        const copy = material.clone();
+        if (override.color && copy.color) {
+            copy.color = new THREE.Color(override.color);
+        }
+        if (override.roughness !== undefined && 'roughness' in copy) {
+            copy.roughness = override.roughness;
+        }
+        if (override.metalness !== undefined && 'metalness' in copy) {
+            copy.metalness = override.metalness;
+        }
+        return copy;
+    }
+}
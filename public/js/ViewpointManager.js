@@ -0,0 +1,71 @@
+import * as THREE from 'three';
+
+// How long a flight to a saved view takes, in ms.
+const FLIGHT_DURATION = 1200;
+
+// Named camera viewpoints saved with the product: { id, name, position,
+// target, fov }, with the camera position and orbit target in world space.
+// Recalling one flies the camera there, easing position, target and field of
+// view together; the host's recall is sent to viewers so they fly along.
+export class ViewpointManager {
+    constructor(app) {
+        this.app = app;
+        this.views = [];
+        this.flight = null;
+        // Called once a flight reaches its view.
+        this.onArrive = null;
+    }
+
+    setViews(views) {
+        this.views = views || [];
+    }
+
+    // The camera as it is now, in the shape of a saved view.
+    capture() {
+        return {
+            position: this.app.camera.position.toArray(),
+            target: this.app.orbitControls.target.toArray(),
+            fov: this.app.camera.fov
+        };
+    }
+
+    flyTo(view, duration = FLIGHT_DURATION) {
+        this.flight = {
+            from: {
+                position: this.app.camera.position.clone(),
+                target: this.app.orbitControls.target.clone(),
+                fov: this.app.camera.fov
+            },
+            to: {
+                position: new THREE.Vector3().fromArray(view.position),
+                target: new THREE.Vector3().fromArray(view.target),
+                fov: view.fov
+            },
+            start: performance.now(),
+            duration
+        };
+    }
+
+    // Stop where the camera is, e.g. when someone grabs the orbit controls mid-flight.
+    cancel() {
+        this.flight = null;
+    }
+
+    // Advance any running flight; called once per frame, before the orbit
+    // controls turn the camera towards the target.
+    update() {
+        if (!this.flight) return;
+        const { from, to, start, duration } = this.flight;
+        const t = Math.min((performance.now() - start) / duration, 1);
+        const eased = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+        const camera = this.app.camera;
+        camera.position.lerpVectors(from.position, to.position, eased);
+        this.app.orbitControls.target.lerpVectors(from.target, to.target, eased);
+        camera.fov = from.fov + (to.fov - from.fov) * eased;
+        camera.updateProjectionMatrix();
+        if (t >= 1) {
+            this.flight = null;
+            if (this.onArrive) this.onArrive();
+        }
+    }
+}
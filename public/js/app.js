@@ -8,17 +8,105 @@ import { ARButton } from 'three/addons/webxr/ARButton.js';
 import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
 import { XRControllerModelFactory } from 'three/addons/webxr/XRControllerModelFactory.js';
 import { InteractionManager } from './InteractionManager.js';
-import { setupUIControls, updateToggleUI } from './uiControls.js';
-import { showHostRequestModal, showConfirmationModal } from './modalManager.js';
+import { ExplodeManager } from './ExplodeManager.js';
+import { VariantManager } from './VariantManager.js';
+import { AnnotationManager } from './AnnotationManager.js';
+import { MeasurementManager } from './MeasurementManager.js';
+import { SectionManager } from './SectionManager.js';
+import { PresenceManager } from './PresenceManager.js';
+import { PartLockManager } from './PartLockManager.js';
+import { PlaybackManager } from './PlaybackManager.js';
+import { ViewpointManager } from './ViewpointManager.js';
+import { TourManager } from './TourManager.js';
+import { HistoryManager } from './HistoryManager.js';
+import { ChatManager } from './ChatManager.js';
+import { SnapshotInterpolator, toSnapshot } from './SnapshotInterpolator.js';
+import { createThrottledEmitter, quantize } from './networkSync.js';
+import {
+  setupUIControls,
+  updateToggleUI,
+  updateExplodeUI,
+  updateToolUI,
+  updateCursorUI,
+  updateFollowUI,
+  updateRecordingUI,
+  updateHistoryUI,
+  refreshVariantPicker,
+  groupUploadFiles,
+  readManifestFile
+} from './uiControls.js';
+import { showViewerRequestModal, showConfirmationModal, showErrorModal, showPromptModal } from './modalManager.js';
+import { DEFAULT_PRODUCT_ID, normalizeManifest } from './productManifest.js';
+import { refreshPartsPanel } from './partsPanel.js';
+import { setupSectionPanel, refreshSectionPanel } from './sectionPanel.js';
+import { setupParticipantsPanel, refreshParticipantsPanel } from './participantsPanel.js';
+import { setupPlaybackPanel, refreshPlaybackPanel } from './playbackPanel.js';
+import { setupViewsPanel, refreshViewsPanel } from './viewsPanel.js';
+import { setupToursPanel, refreshToursPanel } from './toursPanel.js';
+import { setupChatPanel, refreshChatPanel } from './chatPanel.js';
 
 // Ensure your socket.io client library is loaded.
 const io = window.io;
 
+// Field of view of the default framing; saved views may use their own.
+const DEFAULT_FOV = 75;
+// Scene tools only the host can use.
+const HOST_TOOLS = ['annotate', 'section'];
+// Where the participant's chosen display name is remembered between visits.
+const NAME_STORAGE_KEY = 'syncvision-name';
+
+// Rough device class for the participant list.
+function detectDevice() {
+  const userAgent = navigator.userAgent;
+  if (/OculusBrowser|Quest|Pico|Vision/i.test(userAgent)) return 'headset';
+  if (/iPad|Tablet/i.test(userAgent) || (/Macintosh/.test(userAgent) && navigator.maxTouchPoints > 1)) return 'tablet';
+  if (/Android|iPhone|Mobile/i.test(userAgent)) return /Mobile/.test(userAgent) ? 'mobile' : 'tablet';
+  return 'desktop';
+}
+
 class App {
   constructor() {
     // ----- Shared Variables -----
     this.loadedModels = new Map();
     this.draggableObjects = [];
+    // Catalog id and normalized manifest of the product on screen.
+    this.productId = null;
+    this.productManifest = null;
+    this.explodeManager = new ExplodeManager(this);
+    this.variantManager = new VariantManager(this);
+    this.annotationManager = new AnnotationManager(this);
+    this.measurementManager = new MeasurementManager(this);
+    this.presenceManager = new PresenceManager(this);
+    this.partLockManager = new PartLockManager(this);
+    this.viewpointManager = new ViewpointManager(this);
+    // The host's camera goes out once a flight to a saved view lands.
+    this.viewpointManager.onArrive = () => {
+      if (this.isHost) {
+        this.networkSync.flush('camera', 'camera-update', this.getCameraState());
+      }
+    };
+    this.tourManager = new TourManager(this);
+    this.tourManager.onChange = () => refreshToursPanel(this);
+    this.historyManager = new HistoryManager(this);
+    this.historyManager.onChange = () => updateHistoryUI(this);
+    this.historyManager.onBlocked = () => showErrorModal("Someone else is moving that part. Try again once they let go.");
+    this.chatManager = new ChatManager(this);
+    this.chatManager.onChange = () => refreshChatPanel(this);
+    // Smooths incoming host camera and part updates.
+    this.interpolator = new SnapshotInterpolator();
+    // Set by the host: presenters move parts alongside the host.
+    this.isPresenter = false;
+    // Id of the part being dragged with the mouse, if any.
+    this.draggedPartId = null;
+    // Viewers follow the host's camera and part moves until they explore on their own.
+    this.followHost = true;
+    // Display name and cursor colour the server assigned to this client.
+    this.identity = null;
+    // Click tool for the scene ('annotate', 'measure', 'section', or 'pin' to pin a chat
+    // message), or null to drag parts as usual.
+    this.activeTool = null;
+    // Parts hidden from view: { partId: false }; parts not listed are shown.
+    this.partVisibility = {};
     this.isARMode = false;
     this.isPlacingProduct = false;
     // For host pointer updates (from version 1)
@@ -28,8 +116,13 @@ class App {
     this.isDragging = false;
     // For handling two-finger pan/rotation gesture (version 2)
     this.lastTouchAngle = null;
-    // Determine host status via query params (if role=host, then true)
-    this.isHost = new URLSearchParams(window.location.search).get('role') === 'host';
+    // Determine host status and room via query params (if role=host, then true)
+    const params = new URLSearchParams(window.location.search);
+    // `?recording=<id>` plays a recorded session back instead of joining a live room.
+    this.recordingId = params.get('recording');
+    this.isHost = !this.recordingId && params.get('role') === 'host';
+    // Sessions are scoped to a room; everyone opening the same ?room=<code> shares it.
+    this.roomId = params.get('room') || 'lobby';
     
     // Variables for AR tap‑to‑place integration (version 2)
     this.placementReticle = null;
@@ -38,11 +131,31 @@ class App {
     this.hitTestSource = null;
     // Variable for host pointer (from version 1)
     this.hostPointer = null;
+    // Latest host state received before the matching parts finished loading.
+    this.pendingTransforms = new Map();
+    this.latestCameraState = null;
     
     // Socket initialization. In both versions the host registers itself.
-    this.socket = io();
+    this.displayName = params.get('name') || localStorage.getItem(NAME_STORAGE_KEY) || '';
+    this.roster = [];
+    // Proof of host rights for protected rooms: a signed `?hostToken=` link,
+    // or a passcode asked for when the server refuses a claim.
+    this.hostCredentials = { token: params.get('hostToken') || null, passcode: null };
+    this.hostAuthPromptOpen = false;
+    // The room's handover policy and the queue of requests for control.
+    this.transferQueue = { policy: { mode: 'auto', seconds: 30 }, requests: [] };
+    // Our own request as last shown in the request modal: { requestId, position, deadline }.
+    this.shownRequest = null;
+    // Whether the host is recording the room; `savedId` names the last finished recording.
+    this.recording = { active: false };
+    // Playback feeds recorded events to the socket listeners, so the socket stays offline.
+    this.socket = io({ query: { room: this.roomId, name: this.displayName }, autoConnect: !this.recordingId });
+    // Reconnects get a fresh participant entry, so describe ourselves every time.
+    this.socket.on('connect', () => this.sendJoinInfo());
+    // Camera and part updates go out once per network tick.
+    this.networkSync = createThrottledEmitter(this.socket);
     if (this.isHost) {
-      this.socket.emit('register-host');
+      this.socket.emit('register-host', this.hostCredentials);
     }
     
     // Create overlays: loading overlay (for product/model loading) and upload overlay (version 1)
@@ -64,13 +177,26 @@ class App {
     this.setupScene();
     this.setupLights();
     this.setupInitialControls();
+    this.sectionManager = new SectionManager(this);
+    this.playbackManager = this.recordingId ? new PlaybackManager(this) : null;
 
     // Set up UI toggles (if any)
     setupUIControls(this);
+    setupSectionPanel(this);
+    setupViewsPanel(this);
+    setupToursPanel(this);
+    setupChatPanel(this);
+    if (this.playbackManager) {
+      this.playbackManager.onChange = () => refreshPlaybackPanel(this);
+      setupPlaybackPanel(this);
+    } else {
+      setupParticipantsPanel(this);
+    }
 
     // --- File Upload Handling ---
-    // The file input is created in uiControls.js.
-    const fileInput = document.querySelector('input[type="file"][accept=".glb,.gltf"]');
+    // The file input is created in uiControls.js; .gltf uploads may include
+    // their .bin/texture files, and .zip bundles are extracted by the server.
+    const fileInput = document.getElementById('model-upload-input');
     if (fileInput) {
       fileInput.onchange = async (event) => {
         // Show the loading overlay at the start of upload.
@@ -87,27 +213,34 @@ class App {
         // Now safely clear out any existing models ONLY when files are selected.
         this.clearExistingModels();
   
-        for (let file of files) {
+        const { groups, strays, manifestFile } = groupUploadFiles(files);
+        // A manifest picked alongside the models lays out the uploaded parts.
+        const manifest = await readManifestFile(manifestFile);
+        if (strays.length > 0) {
+          showErrorModal(`${strays.map((file) => file.name).join(', ')} must be uploaded together with a .gltf file.`);
+        }
+        // The host's files join the room's product only with an upload token.
+        const uploadToken = this.isHost ? await this.requestUploadToken() : null;
+        // A .gltf and its sidecars go up in one request so they share a folder.
+        for (const group of groups) {
+          const file = group[0];
           const formData = new FormData();
-          formData.append('model', file);
+          group.forEach((groupFile) => formData.append('model', groupFile));
           try {
             const response = await fetch('/upload', {
               method: 'POST',
-              headers: {
-                'x-socket-id': this.socket.id,
-                'x-uploader-role': this.isHost ? 'host' : 'viewer'
-              },
+              headers: uploadToken ? { 'x-upload-token': uploadToken } : {},
               body: formData
             });
+            const data = await response.json().catch(() => ({}));
             if (response.ok) {
-              const data = await response.json();
               // For hosts: skip local load and wait for aggregated broadcast.
               if (!this.isHost) {
-                const name = data.name.replace('.glb', '').replace('.gltf', '');
-                await this.loadModel(data.url, name);
+                await this.loadModel(data.url, data.name);
               }
             } else {
-              console.error("Upload failed:", response.statusText);
+              console.error("Upload failed:", data.error || response.statusText);
+              showErrorModal(`${file.name} was not uploaded: ${data.error || response.statusText}`);
             }
           } catch (error) {
             console.error("File upload error:", error);
@@ -118,7 +251,7 @@ class App {
             clearTimeout(this._productUploadCompleteTimeout);
           }
           this._productUploadCompleteTimeout = setTimeout(() => {
-            this.socket.emit('product-upload-complete');
+            this.socket.emit('product-upload-complete', { manifest });
             this._productUploadCompleteTimeout = null;
             if (loadingOverlay) loadingOverlay.style.display = 'none';
           }, 500);
@@ -139,6 +272,19 @@ class App {
       this.renderer,
       this.renderer.domElement
     );
+    // Parts grabbed with an XR controller take the same locks as mouse drags.
+    this.interactionManager.onGrab = (object) => {
+      if (this.partLockManager.isLockedByOther(object.name)) return false;
+      this.partLockManager.acquire(object.name);
+      this.historyManager.beginMove(object);
+      return true;
+    };
+    this.interactionManager.onMove = (object) => this.sendPartTransform(object);
+    this.interactionManager.onRelease = (object) => {
+      this.sendPartTransform(object, true);
+      this.partLockManager.release(object.name);
+      this.historyManager.endMove(object);
+    };
 
     // Listen for pointer movement (to update host pointer in non‐AR mode)
     window.addEventListener('pointermove', this.handlePointerMove.bind(this));
@@ -151,16 +297,134 @@ class App {
     this.renderer.domElement.addEventListener('touchmove', this.onTouchMove.bind(this), { passive: false });
     this.renderer.domElement.addEventListener('touchend', this.onTouchEnd.bind(this), { passive: false });
 
+    // Clicks on the scene for the active tool (e.g. placing annotations).
+    this.renderer.domElement.addEventListener('pointerdown', this.onScenePointerDown.bind(this));
+    this.renderer.domElement.addEventListener('pointerup', this.onScenePointerUp.bind(this));
+    window.addEventListener('keydown', this.onKeyDown.bind(this));
+
     // Instead of directly loading the default product, show the landing overlay.
-    this.showLandingOverlay();
+    if (this.playbackManager) {
+      this.startPlayback();
+    } else {
+      this.showLandingOverlay();
+    }
 
     this.animate();
   }
 
   // -----------------------------------------------------------------------------
-  // Landing Overlay – choose Demo or Upload
+  // Participant identity – display name, device and AR support for the roster
+  // -----------------------------------------------------------------------------
+  async sendJoinInfo() {
+    let arCapable = false;
+    if (navigator.xr) {
+      arCapable = await navigator.xr.isSessionSupported('immersive-ar').catch(() => false);
+    }
+    this.socket.emit('join-info', { name: this.displayName, device: detectDevice(), arCapable });
+  }
+
+  setDisplayName(name) {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    this.displayName = trimmed;
+    localStorage.setItem(NAME_STORAGE_KEY, trimmed);
+    this.sendJoinInfo();
+  }
+
+  // -----------------------------------------------------------------------------
+  // Session playback – replaying a recording through the socket listeners
+  // -----------------------------------------------------------------------------
+  async startPlayback() {
+    const loadingOverlay = document.getElementById('loading-overlay');
+    if (loadingOverlay) loadingOverlay.style.display = 'flex';
+    let refusal = null;
+    try {
+      await this.playbackManager.load(this.recordingId);
+      this.roomId = this.playbackManager.header.roomId;
+      this.playbackManager.play();
+    } catch (error) {
+      console.error("Could not load recording:", error);
+      if (error.status === 403) {
+        refusal = error;
+      } else {
+        showErrorModal(`The recording could not be loaded: ${error.message}`);
+      }
+    }
+    if (loadingOverlay) loadingOverlay.style.display = 'none';
+    // Recordings of protected rooms are for their hosts: ask for the passcode and try again.
+    if (refusal) {
+      const passcode = await showPromptModal('Host passcode', refusal.message, { placeholder: 'Passcode' });
+      if (passcode) {
+        this.hostCredentials.passcode = passcode;
+        this.startPlayback();
+      }
+    }
+  }
+
+  // -----------------------------------------------------------------------------
+  // Host access – claiming the host role, with a passcode in protected rooms
+  // -----------------------------------------------------------------------------
+  claimHost() {
+    if (!this.currentHostId) {
+      this.socket.emit('register-host', this.hostCredentials);
+    } else if (!this.hostRequestPending) {
+      // The waiting modal opens once the request shows up in the queue.
+      this.hostRequestPending = true;
+      this.socket.emit('request-host', this.hostCredentials);
+    }
+  }
+
+  // The server refused a host claim or a host action: fall back to viewing
+  // and, where the room takes a passcode, ask for it and try again.
+  async onHostAuthError(data) {
+    this.currentHostId = data.hostSocketId;
+    this.isHost = data.hostSocketId === this.socket.id;
+    this.hostRequestPending = false;
+    if (this.toggleUI) {
+      updateToggleUI(this, this.toggleUI.viewerButton, this.toggleUI.hostButton, this.isHost);
+    }
+    // Refusals can arrive in bursts; ask only once.
+    if (this.hostAuthPromptOpen) return;
+    if (!data.passcodeAccepted) {
+      showErrorModal(data.message);
+      return;
+    }
+    this.hostAuthPromptOpen = true;
+    let passcode;
+    try {
+      passcode = await showPromptModal('Host passcode', data.message, { placeholder: 'Passcode' });
+    } finally {
+      this.hostAuthPromptOpen = false;
+    }
+    if (!passcode) return;
+    this.hostCredentials.passcode = passcode;
+    this.claimHost();
+  }
+
+  // The host credentials we hold, as headers for the REST endpoints that check them.
+  hostCredentialHeaders() {
+    const headers = {};
+    if (this.hostCredentials.token) headers['x-host-token'] = this.hostCredentials.token;
+    if (this.hostCredentials.passcode) headers['x-host-passcode'] = this.hostCredentials.passcode;
+    return headers;
+  }
+
+  // A short-lived token from the server that marks this host's uploads as its own.
+  async requestUploadToken() {
+    try {
+      const { token } = await this.socket.timeout(5000).emitWithAck('upload-token');
+      return token;
+    } catch (error) {
+      console.error("Could not get an upload token:", error);
+      return null;
+    }
+  }
+
+  // -----------------------------------------------------------------------------
+  // Landing Overlay – choose Demo, Upload or a saved product
   // -----------------------------------------------------------------------------
-  showLandingOverlay() {
+  showLandingOverlay({ dismissible = false } = {}) {
+    if (document.getElementById('landing-overlay')) return;
     const overlay = document.createElement('div');
     overlay.id = 'landing-overlay';
     overlay.style.position = 'fixed';
@@ -190,6 +454,21 @@ class App {
     description.style.color = '#333';
     description.style.marginBottom = '20px';
     description.innerHTML = 'Click the Demo button to view our sample, or upload your own GLB files to showcase your creations. Experience interactive product visualization like never before!<br>(9寫住先)';
+    // How this participant appears to everyone else in the room.
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.placeholder = 'Your name';
+    nameInput.maxLength = 40;
+    nameInput.value = this.displayName;
+    nameInput.style.width = '100%';
+    nameInput.style.boxSizing = 'border-box';
+    nameInput.style.marginBottom = '20px';
+    nameInput.style.padding = '8px 12px';
+    nameInput.style.border = '1px solid #ccc';
+    nameInput.style.borderRadius = '9999px';
+    nameInput.style.fontSize = '14px';
+    nameInput.addEventListener('change', () => this.setDisplayName(nameInput.value));
+
     const buttonsContainer = document.createElement('div');
     buttonsContainer.style.display = 'flex';
     buttonsContainer.style.justifyContent = 'space-around';
@@ -218,7 +497,7 @@ class App {
     uploadButton.addEventListener('click', () => {
       document.body.removeChild(overlay);
       // Trigger the file input from your UI controls.
-      const fileInput = document.querySelector('input[type="file"][accept=".glb,.gltf"]');
+      const fileInput = document.getElementById('model-upload-input');
       if (fileInput) {
         fileInput.click();
       }
@@ -226,13 +505,176 @@ class App {
 
     buttonsContainer.appendChild(demoButton);
     buttonsContainer.appendChild(uploadButton);
+
+    // Saved products from the server catalog.
+    const catalogTitle = document.createElement('h3');
+    catalogTitle.textContent = 'Products';
+    catalogTitle.style.margin = '20px 0 10px';
+    catalogTitle.style.fontSize = '16px';
+
+    const catalogList = document.createElement('div');
+    catalogList.style.display = 'flex';
+    catalogList.style.flexDirection = 'column';
+    catalogList.style.gap = '6px';
+    catalogList.style.maxHeight = '200px';
+    catalogList.style.overflowY = 'auto';
+    catalogList.style.fontSize = '14px';
+    catalogList.textContent = 'Loading products...';
+    this.renderProductCatalog(catalogList, overlay);
+
+    // Recorded sessions of this room; the section stays hidden until there are some.
+    const recordingsTitle = document.createElement('h3');
+    recordingsTitle.textContent = 'Recordings';
+    recordingsTitle.style.margin = '20px 0 10px';
+    recordingsTitle.style.fontSize = '16px';
+    recordingsTitle.style.display = 'none';
+
+    const recordingsList = document.createElement('div');
+    recordingsList.style.display = 'flex';
+    recordingsList.style.flexDirection = 'column';
+    recordingsList.style.gap = '6px';
+    recordingsList.style.maxHeight = '150px';
+    recordingsList.style.overflowY = 'auto';
+    recordingsList.style.fontSize = '14px';
+    this.renderRecordingList(recordingsList, recordingsTitle);
+
     box.appendChild(title);
     box.appendChild(description);
+    box.appendChild(nameInput);
     box.appendChild(buttonsContainer);
+    box.appendChild(catalogTitle);
+    box.appendChild(catalogList);
+    box.appendChild(recordingsTitle);
+    box.appendChild(recordingsList);
+
+    if (dismissible) {
+      const closeButton = document.createElement('button');
+      closeButton.textContent = 'Close';
+      closeButton.style.marginTop = '20px';
+      closeButton.style.backgroundColor = 'transparent';
+      closeButton.style.color = '#d00024';
+      closeButton.style.border = '1px solid #d00024';
+      closeButton.style.borderRadius = '9999px';
+      closeButton.style.padding = '8px 20px';
+      closeButton.style.cursor = 'pointer';
+      closeButton.addEventListener('click', () => {
+        document.body.removeChild(overlay);
+      });
+      box.appendChild(closeButton);
+    }
+
     overlay.appendChild(box);
     document.body.appendChild(overlay);
   }
 
+  async renderProductCatalog(listElement, overlay) {
+    let products = [];
+    try {
+      const response = await fetch('/api/products');
+      products = (await response.json()).products || [];
+    } catch (error) {
+      console.error("Could not load product catalog:", error);
+      listElement.textContent = 'Products are unavailable right now.';
+      return;
+    }
+    listElement.textContent = products.length ? '' : 'No saved products yet.';
+    products.forEach((product) => {
+      const item = document.createElement('button');
+      item.textContent = `${product.name} (${product.partCount} part${product.partCount === 1 ? '' : 's'})`;
+      item.style.padding = '8px 12px';
+      item.style.border = '1px solid #d00024';
+      item.style.borderRadius = '9999px';
+      item.style.backgroundColor = 'white';
+      item.style.color = '#d00024';
+      item.style.cursor = 'pointer';
+      item.addEventListener('click', () => {
+        if (overlay.parentNode) {
+          document.body.removeChild(overlay);
+        }
+        this.selectProduct(product.id);
+      });
+      listElement.appendChild(item);
+    });
+  }
+
+  async renderRecordingList(listElement, titleElement) {
+    let recordings = [];
+    try {
+      const response = await fetch(`/api/recordings?room=${encodeURIComponent(this.roomId)}`, {
+        headers: this.hostCredentialHeaders()
+      });
+      recordings = (await response.json()).recordings || [];
+    } catch (error) {
+      console.error("Could not load recordings:", error);
+      return;
+    }
+    titleElement.style.display = recordings.length ? 'block' : 'none';
+    recordings.forEach((recording) => {
+      const minutes = Math.max(1, Math.round(recording.duration / 60000));
+      const item = document.createElement('button');
+      item.textContent = `${new Date(recording.startedAt).toLocaleString()} (${minutes} min)`;
+      item.title = recording.startedBy ? `Recorded by ${recording.startedBy}` : '';
+      item.style.padding = '8px 12px';
+      item.style.border = '1px solid #d00024';
+      item.style.borderRadius = '9999px';
+      item.style.backgroundColor = 'white';
+      item.style.color = '#d00024';
+      item.style.cursor = 'pointer';
+      item.addEventListener('click', () => {
+        const playbackUrl = new URL(window.location.href);
+        playbackUrl.search = '';
+        playbackUrl.searchParams.set('recording', recording.id);
+        // Recordings of protected rooms are fetched with the host link, so keep it.
+        if (this.hostCredentials.token) {
+          playbackUrl.searchParams.set('hostToken', this.hostCredentials.token);
+        }
+        window.location.assign(playbackUrl);
+      });
+      listElement.appendChild(item);
+    });
+  }
+
+  // -----------------------------------------------------------------------------
+  // Product Catalog
+  // -----------------------------------------------------------------------------
+  async selectProduct(productId) {
+    // The host switches the whole room; the server answers with `product-selected`.
+    if (this.isHost) {
+      this.socket.emit('select-product', { productId });
+      return;
+    }
+    try {
+      const response = await fetch(`/api/products/${encodeURIComponent(productId)}`);
+      if (!response.ok) {
+        throw new Error((await response.json()).error || response.statusText);
+      }
+      await this.loadProduct(await response.json());
+    } catch (error) {
+      console.error("Could not load product:", error);
+      showErrorModal(`The product could not be loaded: ${error.message}`);
+    }
+  }
+
+  async loadProduct(product) {
+    const loadingOverlay = document.getElementById('loading-overlay');
+    if (loadingOverlay) loadingOverlay.style.display = 'flex';
+
+    this.productId = product.id;
+    this.productManifest = normalizeManifest(product);
+    // The server already knows about the switch, so don't report the clear.
+    this.clearExistingModels(false);
+    this.annotationManager.setAnnotations(product.annotations);
+    this.viewpointManager.setViews(product.views);
+    this.tourManager.setTours(product.tours);
+    try {
+      await Promise.all(this.productManifest.parts.map((part) => this.loadModel(part.url, part.id, part)));
+    } catch (error) {
+      console.error("Error loading product parts:", error);
+    }
+
+    if (loadingOverlay) loadingOverlay.style.display = 'none';
+  }
+
   // -----------------------------------------------------------------------------
   // Pointer events (version 1)
   // -----------------------------------------------------------------------------
@@ -335,14 +777,90 @@ class App {
   // Socket Listeners Integration
   // -----------------------------------------------------------------------------
   setupSocketListeners() {
-    this.socket.on('host-transfer-request', (data) => {
-      if (this.isHost) {
-        showHostRequestModal(this, data, 30);
+    this.socket.on('room-joined', (data) => {
+      // The server may normalise the requested code, so keep its version.
+      this.roomId = data.roomId;
+      this.identity = { name: data.name, color: data.color };
+      if (!this.displayName) {
+        this.displayName = data.name;
+      }
+      if (!this.isHost) {
+        this.currentHostId = data.hostSocketId;
+      }
+      updateRecordingUI(this);
+      console.log("Joined room:", data.roomId, "host:", data.hostSocketId);
+    });
+
+    // Requests are answered from the queue in the people panel.
+    this.socket.on('host-transfer-request', () => {
+      if (this.isHost && this.participantsPanel) {
+        this.participantsPanel.collapsed = false;
+        refreshParticipantsPanel(this);
+      }
+    });
+
+    this.socket.on('transfer-queue', (data) => {
+      this.transferQueue = data;
+      const position = data.requests.findIndex((request) => request.requester === this.socket.id);
+      const ownRequest = data.requests[position];
+      const shown = this.shownRequest;
+      // Redraw when we move up the queue too, not just for a new request.
+      if (ownRequest && (!shown || shown.requestId !== ownRequest.requestId ||
+          shown.position !== position + 1 || shown.deadline !== ownRequest.deadline)) {
+        showViewerRequestModal(this, { position: position + 1, deadline: ownRequest.deadline });
+      }
+      this.shownRequest = ownRequest
+        ? { requestId: ownRequest.requestId, position: position + 1, deadline: ownRequest.deadline }
+        : null;
+      refreshParticipantsPanel(this);
+    });
+
+    this.socket.on('host-auth-error', (data) => this.onHostAuthError(data));
+
+    this.socket.on('recording-status', (data) => {
+      this.recording = data;
+      updateRecordingUI(this);
+      if (this.isHost && data.savedId) {
+        const playbackUrl = new URL(window.location.href);
+        playbackUrl.search = '';
+        playbackUrl.searchParams.set('recording', data.savedId);
+        showConfirmationModal(`Recording saved. Watch it back at ${playbackUrl}`);
+      }
+    });
+
+    this.socket.on('recording-error', (data) => {
+      showErrorModal(data.message);
+    });
+
+    this.socket.on('roster', (data) => {
+      this.roster = data.participants;
+      const self = this.roster.find((participant) => participant.id === this.socket.id);
+      const wasPresenter = this.isPresenter;
+      this.isPresenter = !!(self && self.presenter);
+      if (this.isPresenter && !wasPresenter && !this.isHost) {
+        showConfirmationModal("You're now a presenter: you can move parts alongside the host.");
+      }
+      updateHistoryUI(this);
+      refreshParticipantsPanel(this);
+    });
+
+    this.socket.on('part-locks', (data) => {
+      this.partLockManager.setLocks(data.locks);
+      this.refreshDragTargets();
+      // Someone else got the lock first: let go of the part.
+      if (this.draggedPartId && this.partLockManager.isLockedByOther(this.draggedPartId)) {
+        this.historyManager.cancelMove(this.draggedPartId);
+        this.cancelDrag();
+      }
+      const held = this.interactionManager && this.interactionManager.selectedObject;
+      if (held && this.partLockManager.isLockedByOther(held.name)) {
+        this.historyManager.cancelMove(held.name);
+        this.interactionManager.dropSelection();
       }
     });
 
     this.socket.on('transfer-denied', (data) => {
-      showConfirmationModal("Your request has been denied.");
+      showConfirmationModal(data.message || "Your request has been denied.");
       this.hostRequestPending = false;
       if (this.hostRequestTimer) {
         clearTimeout(this.hostRequestTimer);
@@ -355,6 +873,10 @@ class App {
       this.isHost = data.hostSocketId ? (data.hostSocketId === this.socket.id) : false;
       console.log("Host changed; new hostSocketId:", data.hostSocketId, "isHost:", this.isHost);
       this.hostRequestPending = false;
+      // The host's view is the shared one, so a new host starts out following it.
+      if (this.isHost) {
+        this.followHost = true;
+      }
       if (this.hostRequestTimer) {
         clearTimeout(this.hostRequestTimer);
         this.hostRequestTimer = null;
@@ -363,21 +885,66 @@ class App {
       if (this.toggleUI) {
         updateToggleUI(this, this.toggleUI.viewerButton, this.toggleUI.hostButton, this.isHost);
       }
+      this.annotationManager.refreshRemoveButtons();
+      this.measurementManager.refreshVisuals();
+      refreshViewsPanel(this);
+      if (!this.isHost) {
+        this.tourManager.setPlaying(false);
+      }
+      refreshToursPanel(this);
+      refreshChatPanel(this);
+      if (!this.isHost && HOST_TOOLS.includes(this.activeTool)) {
+        this.setActiveTool(null);
+      }
+      // The host points with the host pointer instead of a cursor.
+      if (this.isHost && this.presenceManager.enabled) {
+        this.presenceManager.setEnabled(false);
+        updateCursorUI(this);
+      }
 
       if (this.isHost) {
         showConfirmationModal("You're now the host.");
       }
     });
 
+    this.socket.on('product-selected', (data) => {
+      this.pendingTransforms.clear();
+      this.latestCameraState = null;
+      return this.loadProduct(data.product);
+    });
+
+    // The product on screen was deleted from the catalog.
+    this.socket.on('product-removed', () => {
+      this.pendingTransforms.clear();
+      this.latestCameraState = null;
+      this.productId = null;
+      this.productManifest = null;
+      this.clearExistingModels(false);
+      if (this.playbackManager) return;
+      showConfirmationModal('The product on screen was removed from the catalog.');
+      if (this.isHost) {
+        this.showLandingOverlay();
+      }
+    });
+
+    this.socket.on('product-error', (data) => {
+      showErrorModal(data.message);
+    });
+
     this.socket.on('product-upload-complete', async (data) => {
       // console.log("Received complete product upload:", data);
+      this.productId = data.product.id;
+      this.productManifest = normalizeManifest(data.product);
       this.showUploadOverlay();
       if (!this.isHost) {
         this.clearExistingModels();
       }
-      const loadPromises = data.parts.map((part) => {
-        if (!this.loadedModels.has(part.name)) {
-          return this.loadModel(part.url, part.name);
+      this.annotationManager.setAnnotations(data.product.annotations);
+      this.viewpointManager.setViews(data.product.views);
+      this.tourManager.setTours(data.product.tours);
+      const loadPromises = this.productManifest.parts.map((part) => {
+        if (!this.loadedModels.has(part.id)) {
+          return this.loadModel(part.url, part.id, part);
         } else {
           return Promise.resolve();
         }
@@ -390,79 +957,147 @@ class App {
       this.hideUploadOverlay();
     });
 
+    // Returns the rebuild so playback can wait for it before replaying later events.
+    this.socket.on('session-state', (state) => this.applySessionState(state));
+
+    this.socket.on('host-ar-status', (data) => {
+      this.setHostARStatus(data.active);
+    });
+
     this.socket.on('model-transform', (modelState) => {
-      if (!this.isHost) {
-        const object = this.loadedModels.get(modelState.customId);
-        if (object) {
-          object.position.fromArray(modelState.position);
-          object.rotation.fromArray(modelState.rotation);
-          object.scale.fromArray(modelState.scale);
-        } else {
-          console.log(`No matching model found for customId: ${modelState.customId}`);
-        }
+      // Ignore echoes for a part this client is moving itself.
+      if (this.partLockManager.isLockedBySelf(modelState.customId)) return;
+      // A viewer exploring alone keeps their own layout until they jump back.
+      if (!this.followHost && !this.canMoveParts()) return;
+      const container = this.loadedModels.get(modelState.customId);
+      if (container) {
+        this.interpolator.push(`part:${modelState.customId}`, toSnapshot(modelState), {
+          position: container.position.clone(),
+          quaternion: container.quaternion.clone(),
+          scale: container.scale.clone()
+        });
+      } else {
+        this.applyModelTransform(modelState);
       }
     });
 
     this.socket.on('camera-update', (cameraState) => {
       if (!this.isHost) {
-        this.camera.position.fromArray(cameraState.position);
-        this.camera.rotation.fromArray(cameraState.rotation);
-        if (this.orbitControls) {
-          this.orbitControls.target.fromArray(cameraState.target);
-          this.orbitControls.update();
-        }
+        this.latestCameraState = cameraState;
+        if (!this.followHost) return;
+        this.viewpointManager.cancel();
+        this.setCameraFov(cameraState.fov || DEFAULT_FOV);
+        this.interpolator.push('camera', toSnapshot(cameraState), {
+          position: this.camera.position.clone(),
+          quaternion: this.camera.quaternion.clone(),
+          target: this.orbitControls.target.clone()
+        });
+      }
+    });
+
+    // The host's current camera and part layout, asked for by "Jump back to host".
+    this.socket.on('host-view', (data) => {
+      this.interpolator.clear();
+      this.applyPartTransforms(data.transforms);
+      this.latestCameraState = data.camera;
+      if (data.camera) {
+        this.applyCameraState(data.camera);
+      } else {
+        this.fitCameraToScene();
       }
     });
 
     this.socket.on('host-pointer-toggle', (data) => {
       if (!this.isHost) {
-        if (data.active) {
-          if (!this.viewerPointer) {
-            const pointerRadius = 0.005;
-            const redMesh = new THREE.Mesh(
-              new THREE.SphereGeometry(pointerRadius, 16, 16),
-              new THREE.MeshBasicMaterial({ color: 0xff0000 })
-            );
-            const outlineMesh = redMesh.clone();
-            outlineMesh.material = new THREE.MeshBasicMaterial({
-              color: 0xffffff,
-              side: THREE.BackSide
-            });
-            outlineMesh.scale.multiplyScalar(1.2);
-            const pointerGroup = new THREE.Group();
-            pointerGroup.add(outlineMesh);
-            pointerGroup.add(redMesh);
-            this.viewerPointer = pointerGroup;
-            this.scene.add(this.viewerPointer);
-          }
-        } else {
-          if (this.viewerPointer) {
-            this.scene.remove(this.viewerPointer);
-            this.viewerPointer = null;
-          }
-        }
+        this.setViewerPointerActive(data.active);
       }
     });
 
+    this.socket.on('cursor-update', (data) => {
+      this.presenceManager.onCursorUpdate(data);
+    });
+
     this.socket.on('host-pointer-update', (data) => {
       if (!this.isHost && this.viewerPointer) {
         this.viewerPointer.position.fromArray(data.position);
       }
     });
 
+    this.socket.on('section-update', (data) => {
+      if (!this.isHost) {
+        this.sectionManager.setPlanes(data.planes);
+      }
+    });
+
+    this.socket.on('measurements', (data) => {
+      this.measurementManager.setMeasurements(data.measurements);
+    });
+
+    this.socket.on('annotations', (data) => {
+      this.annotationManager.setAnnotations(data.annotations);
+    });
+
+    this.socket.on('views', (data) => {
+      this.viewpointManager.setViews(data.views);
+      refreshViewsPanel(this);
+    });
+
+    this.socket.on('tours', (data) => {
+      this.tourManager.setTours(data.tours);
+    });
+
+    this.socket.on('tour-step', (data) => {
+      this.tourManager.showStep(data);
+      updateExplodeUI(this);
+    });
+
+    this.socket.on('tour-end', () => {
+      this.tourManager.end();
+    });
+
+    this.socket.on('chat-message', (data) => {
+      this.chatManager.addMessage(data.message, this.chatPanel.collapsed);
+    });
+
+    this.socket.on('chat-update', (data) => {
+      this.chatManager.updateMessage(data.message);
+    });
+
+    // The whole conversation at once; recordings carry it this way.
+    this.socket.on('chat', (data) => {
+      this.chatManager.setMessages(data.messages);
+    });
+
+    // The host is flying to a saved view; viewers who follow fly along.
+    this.socket.on('view-recall', (data) => {
+      if (this.isHost || !this.followHost || this.isARMode) return;
+      this.interpolator.clear('camera');
+      this.viewpointManager.flyTo(data.view);
+    });
+
+    this.socket.on('variant-change', (data) => {
+      if (!this.isHost) {
+        this.applyVariant(data.variant);
+      }
+    });
+
+    this.socket.on('part-visibility', (data) => {
+      if (!this.isHost) {
+        this.partVisibility = { ...data.visibility };
+        this.applyPartVisibility();
+      }
+    });
+
+    this.socket.on('explode', (data) => {
+      if (!this.isHost) {
+        this.explodeManager.animateTo(data.factor, data.duration);
+      }
+    });
+
     this.socket.on('reset-all', (resetAll) => {
+      this.pendingTransforms.clear();
       // Reset the transformation of all parts.
-      if (this.productGroup) {
-        this.productGroup.children.forEach((child) => {
-          child.position.set(0, 0, 0);
-          child.rotation.set(0, 0, 0);
-          if (child.children.length > 0 && child.children[0].userData.originalScale) {
-            child.scale.copy(child.children[0].userData.originalScale);
-          } else {
-            child.scale.set(1, 1, 1);
-          }
-        });
-      }
+      this.resetPartTransforms();
       // Reset the camera/viewport to its initial state.
       if (typeof this.fitCameraToScene === 'function') {
         this.fitCameraToScene();
@@ -470,6 +1105,154 @@ class App {
     });
   }
 
+  // -----------------------------------------------------------------------------
+  // Session State (snapshot for late joiners)
+  // -----------------------------------------------------------------------------
+  async applySessionState(state) {
+    // The snapshot supersedes anything still playing back.
+    this.interpolator.clear();
+    this.productId = state.product ? state.product.id : null;
+    this.productManifest = state.product ? normalizeManifest({ ...state.product, parts: state.parts }) : null;
+    this.latestCameraState = state.camera;
+    this.setHostARStatus(state.arActive);
+
+    // Transforms for parts that are still loading are applied once they arrive.
+    Object.entries(state.transforms).forEach(([customId, transform]) => {
+      this.pendingTransforms.set(customId, { customId, ...transform });
+    });
+
+    if (state.parts.length > 0) {
+      // Someone is already presenting, so skip straight to the scene.
+      const landingOverlay = document.getElementById('landing-overlay');
+      if (landingOverlay) {
+        document.body.removeChild(landingOverlay);
+      }
+    }
+    const alreadyLoaded = state.parts.length === this.loadedModels.size &&
+      state.parts.every((part) => this.loadedModels.has(part.id));
+    if (state.parts.length > 0 && !alreadyLoaded) {
+      this.clearExistingModels(false);
+    }
+
+    // Everything but the parts themselves is applied before they load: parts
+    // pick it up as they arrive, and live updates received while loading then
+    // land on top of the snapshot instead of being overwritten by it.
+    this.explodeManager.setFactor(state.explode || 0);
+    updateExplodeUI(this);
+    this.partVisibility = { ...state.visibility };
+    this.applyPartVisibility();
+    this.applyVariant(state.variant);
+    this.annotationManager.setAnnotations(state.annotations);
+    this.viewpointManager.setViews(state.views);
+    refreshViewsPanel(this);
+    // The step's scene is already the room's scene; only its caption is left to show.
+    const tour = state.tour && state.tours.find((candidate) => candidate.id === state.tour.id);
+    this.tourManager.current = tour && tour.steps[state.tour.index]
+      ? { tourId: tour.id, name: tour.name, index: state.tour.index, count: tour.steps.length, step: tour.steps[state.tour.index] }
+      : null;
+    this.tourManager.setTours(state.tours);
+    this.measurementManager.setMeasurements(state.measurements);
+    this.sectionManager.setPlanes(state.sections);
+    refreshSectionPanel(this);
+    this.chatManager.setMessages(state.chat);
+    if (!this.isHost) {
+      this.setViewerPointerActive(state.pointer.active);
+      if (state.pointer.position && this.viewerPointer) {
+        this.viewerPointer.position.fromArray(state.pointer.position);
+      }
+    }
+
+    if (state.parts.length > 0 && !alreadyLoaded) {
+      this.showUploadOverlay();
+      try {
+        await Promise.all(state.parts.map((part) => this.loadModel(part.url, part.id, part)));
+      } catch (error) {
+        console.error("Error loading session parts:", error);
+      }
+      this.hideUploadOverlay();
+    }
+
+    // Loaded parts took their transforms already; this covers parts that were on screen.
+    this.pendingTransforms.forEach((modelState) => this.applyModelTransform(modelState));
+    // Use the newest camera we know of; live updates may have landed while loading.
+    if (this.latestCameraState) {
+      this.applyCameraState(this.latestCameraState);
+    }
+  }
+
+  applyModelTransform(modelState) {
+    const object = this.loadedModels.get(modelState.customId);
+    if (object) {
+      object.position.fromArray(modelState.position);
+      object.rotation.fromArray(modelState.rotation);
+      object.scale.fromArray(modelState.scale);
+      this.pendingTransforms.delete(modelState.customId);
+    } else {
+      // Keep the latest transform until the part finishes loading.
+      this.pendingTransforms.set(modelState.customId, modelState);
+      console.log(`No matching model found for customId: ${modelState.customId}`);
+    }
+  }
+
+  applyCameraState(cameraState) {
+    this.setCameraFov(cameraState.fov || DEFAULT_FOV);
+    this.camera.position.fromArray(cameraState.position);
+    this.camera.rotation.fromArray(cameraState.rotation);
+    if (this.orbitControls) {
+      this.orbitControls.target.fromArray(cameraState.target);
+      this.orbitControls.update();
+    }
+  }
+
+  setViewerPointerActive(active) {
+    if (active) {
+      if (!this.viewerPointer) {
+        const pointerRadius = 0.005;
+        const redMesh = new THREE.Mesh(
+          new THREE.SphereGeometry(pointerRadius, 16, 16),
+          new THREE.MeshBasicMaterial({ color: 0xff0000 })
+        );
+        const outlineMesh = redMesh.clone();
+        outlineMesh.material = new THREE.MeshBasicMaterial({
+          color: 0xffffff,
+          side: THREE.BackSide
+        });
+        outlineMesh.scale.multiplyScalar(1.2);
+        const pointerGroup = new THREE.Group();
+        pointerGroup.add(outlineMesh);
+        pointerGroup.add(redMesh);
+        this.viewerPointer = pointerGroup;
+        this.scene.add(this.viewerPointer);
+      }
+    } else {
+      if (this.viewerPointer) {
+        this.scene.remove(this.viewerPointer);
+        this.viewerPointer = null;
+      }
+    }
+  }
+
+  setHostARStatus(active) {
+    this.hostARActive = active;
+    if (!this.hostARBanner) {
+      const banner = document.createElement('div');
+      banner.style.position = 'fixed';
+      banner.style.bottom = '20px';
+      banner.style.left = '50%';
+      banner.style.transform = 'translateX(-50%)';
+      banner.style.padding = '6px 16px';
+      banner.style.borderRadius = '9999px';
+      banner.style.backgroundColor = '#d00024';
+      banner.style.color = 'white';
+      banner.style.fontSize = '13px';
+      banner.style.zIndex = '1000';
+      banner.textContent = 'The host is viewing this product in AR';
+      document.body.appendChild(banner);
+      this.hostARBanner = banner;
+    }
+    this.hostARBanner.style.display = active && !this.isHost ? 'block' : 'none';
+  }
+
   // -----------------------------------------------------------------------------
   // Basic Initialization and Scene Setup
   // -----------------------------------------------------------------------------
@@ -537,14 +1320,23 @@ class App {
     this.orbitControls = new OrbitControls(this.camera, this.renderer.domElement);
     this.orbitControls.enableDamping = true;
     this.orbitControls.dampingFactor = 0.05;
+    // Orbiting away from the host's view stops following it.
+    this.orbitControls.addEventListener('start', () => {
+      this.viewpointManager.cancel();
+      if (!this.isHost && this.followHost) {
+        this.setFollowHost(false);
+      }
+    });
+    // During a flight to a saved view viewers fly along themselves, so the
+    // host only sends where it landed.
     this.orbitControls.addEventListener('change', () => {
+      if (this.isHost && !this.viewpointManager.flight) {
+        this.networkSync.emit('camera', 'camera-update', this.getCameraState(true));
+      }
+    });
+    this.orbitControls.addEventListener('end', () => {
       if (this.isHost) {
-        const cameraState = {
-          position: this.camera.position.toArray(),
-          rotation: this.camera.rotation.toArray(),
-          target: this.orbitControls.target.toArray()
-        };
-        this.socket.emit('camera-update', cameraState);
+        this.networkSync.flush('camera', 'camera-update', this.getCameraState());
       }
     });
     this.dragControls = new DragControls(this.draggableObjects, this.camera, this.renderer.domElement);
@@ -554,50 +1346,141 @@ class App {
   }
 
   setupControlsEventListeners() {
-    this.dragControls.addEventListener('dragstart', () => {
+    this.dragControls.addEventListener('dragstart', (event) => {
       this.orbitControls.enabled = false;
       this.isDragging = true;
+      this.draggedPartId = event.object.name;
+      this.partLockManager.acquire(event.object.name);
+      this.historyManager.beginMove(event.object);
+      // A viewer's own moves stay local, so they stop following the host.
+      if (!this.canMoveParts() && this.followHost) {
+        this.setFollowHost(false);
+      }
     });
-    this.dragControls.addEventListener('dragend', () => {
+    this.dragControls.addEventListener('dragend', (event) => {
       this.orbitControls.enabled = true;
       this.isDragging = false;
+      this.draggedPartId = null;
+      this.sendPartTransform(event.object, true);
+      this.partLockManager.release(event.object.name);
+      this.historyManager.endMove(event.object);
     });
     this.dragControls.addEventListener('drag', (event) => {
       const object = event.object;
       if (object.userData.originalScale) {
         object.scale.copy(object.userData.originalScale);
       }
-      if (this.isHost) {
-        const modelState = {
-          customId: object.name,
-          position: object.position.toArray(),
-          rotation: object.rotation.toArray(),
-          scale: object.scale.toArray()
-        };
-        this.socket.emit('model-transform', modelState);
+      this.sendPartTransform(object);
+    });
+  }
+
+  // The host and presenters can move parts; viewers' moves stay on their screen.
+  canMoveParts() {
+    return this.isHost || this.isPresenter;
+  }
+
+  // Share a part's transform while this client holds its lock. Moves are
+  // throttled and rounded; the final one when the move ends is sent as is.
+  sendPartTransform(object, final = false) {
+    if (!this.canMoveParts() || !this.partLockManager.isLockedBySelf(object.name)) return;
+    const round = final ? (values) => values : quantize;
+    const modelState = {
+      customId: object.name,
+      position: round(object.position.toArray()),
+      rotation: round(object.rotation.toArray().slice(0, 3)),
+      scale: round(object.scale.toArray())
+    };
+    const key = `part:${object.name}`;
+    if (final) {
+      this.networkSync.flush(key, 'model-transform', modelState);
+    } else {
+      this.networkSync.emit(key, 'model-transform', modelState);
+    }
+  }
+
+  getCameraState(quantized = false) {
+    const round = quantized ? quantize : (values) => values;
+    return {
+      position: round(this.camera.position.toArray()),
+      rotation: round(this.camera.rotation.toArray().slice(0, 3)),
+      target: round(this.orbitControls.target.toArray()),
+      fov: this.camera.fov
+    };
+  }
+
+  // Move the camera and parts along the buffered host updates; called once per frame.
+  applyInterpolatedStates() {
+    const camera = this.interpolator.sample('camera');
+    if (camera) {
+      this.camera.position.copy(camera.position);
+      this.camera.quaternion.copy(camera.quaternion);
+      this.orbitControls.target.copy(camera.target);
+    }
+    this.loadedModels.forEach((container, id) => {
+      const state = this.interpolator.sample(`part:${id}`);
+      if (state) {
+        container.position.copy(state.position);
+        container.quaternion.copy(state.quaternion);
+        container.scale.copy(state.scale);
+      }
+    });
+  }
+
+  // Parts someone else is moving are left out of the drag and XR controls.
+  // The array is shared with both controls, so it is updated in place.
+  refreshDragTargets() {
+    this.draggableObjects.length = 0;
+    this.loadedModels.forEach((container, id) => {
+      if (!this.partLockManager.isLockedByOther(id)) {
+        this.draggableObjects.push(container);
       }
     });
   }
 
   updateDragControls() {
-    const draggableObjects = Array.from(this.loadedModels.values());
+    this.refreshDragTargets();
     if (this.dragControls) {
       this.dragControls.dispose();
     }
-    this.dragControls = new DragControls(draggableObjects, this.camera, this.renderer.domElement);
+    this.dragControls = new DragControls(this.draggableObjects, this.camera, this.renderer.domElement);
+    this.dragControls.enabled = !this.activeTool;
     this.setupControlsEventListeners();
   }
 
-  clearExistingModels() {
+  // Drop a mouse drag in progress; new controls forget the grabbed part.
+  cancelDrag() {
+    this.draggedPartId = null;
+    this.isDragging = false;
+    this.orbitControls.enabled = true;
+    this.updateDragControls();
+    this.interactionManager.setDraggableObjects(this.draggableObjects);
+  }
+
+  clearExistingModels(notifyServer = true) {
     this.loadedModels.forEach(model => {
       if (model.parent) {
         this.productGroup.remove(model);
       }
     });
     this.loadedModels.clear();
-    this.draggableObjects.length = 0;
+    this.interpolator.clear();
+    this.explodeManager.setFactor(0);
+    updateExplodeUI(this);
+    this.partVisibility = {};
+    refreshPartsPanel(this);
+    this.variantManager.active = null;
+    refreshVariantPicker(this);
+    this.annotationManager.setAnnotations([]);
+    this.viewpointManager.setViews([]);
+    this.tourManager.end();
+    this.tourManager.setTours([]);
+    this.historyManager.clear();
+    this.chatManager.clearDraftPin();
+    this.measurementManager.clear();
+    this.sectionManager.setPlanes([]);
+    refreshSectionPanel(this);
     this.updateDragControls();
-    if (this.isHost) {
+    if (this.isHost && notifyServer) {
       this.socket.emit('models-cleared');
     }
   }
@@ -605,80 +1488,291 @@ class App {
   // -----------------------------------------------------------------------------
   // Model Loading & Default Product Setup (Demo)
   // -----------------------------------------------------------------------------
-  async loadDefaultProduct() {
-    // Show the loading overlay before starting model loading.
-    const loadingOverlay = document.getElementById('loading-overlay');
-    if (loadingOverlay) {
-      loadingOverlay.style.display = 'flex';
-    }
-
-    // Clear existing models.
-    this.clearExistingModels();
-    const parts = [
-      { name: 'blade', file: 'kool-mandoline-blade.glb' },
-      { name: 'frame', file: 'kool-mandoline-frame.glb' },
-      { name: 'handguard', file: 'kool-mandoline-handguard.glb' },
-      { name: 'handle', file: 'kool-mandoline-handletpe.glb' }
-    ];
-    
-    // Load each part sequentially.
-    for (const part of parts) {
-      await new Promise((resolve, reject) => {
-        this.gltfLoader.load(
-          `assets/${part.file}`,
-          (gltf) => {
-            const model = gltf.scene;
-            const container = new THREE.Group();
-            container.name = part.name;
-            container.userData.isDraggable = true;
-            container.add(model);
-
-            container.raycast = function (raycaster, intersects) {
-              const box = new THREE.Box3().setFromObject(container);
-              if (!box.isEmpty()) {
-                const intersectionPoint = new THREE.Vector3();
-                if (raycaster.ray.intersectBox(box, intersectionPoint)) {
-                  const distance = raycaster.ray.origin.distanceTo(intersectionPoint);
-                  intersects.push({
-                    distance: distance,
-                    point: intersectionPoint.clone(),
-                    object: container
-                  });
-                }
-              }
-            };
+  // The demo is a built-in catalog product, so it loads like any other and
+  // viewers follow the host into it.
+  loadDefaultProduct() {
+    return this.selectProduct(DEFAULT_PRODUCT_ID);
+  }
 
-            this.draggableObjects.push(container);
-            this.productGroup.add(container);
-            this.loadedModels.set(part.name, container);
-            this.updateDragControls();
-            this.interactionManager.setDraggableObjects(Array.from(this.loadedModels.values()));
-            this.fitCameraToScene();
+  // Turning following back on jumps to the host's current view from the server.
+  setFollowHost(follow) {
+    this.followHost = follow;
+    if (follow && this.playbackManager) {
+      // During playback the host's view is the recording's, as of now.
+      this.playbackManager.seek(this.playbackManager.position);
+    } else if (follow) {
+      this.socket.emit('request-host-view');
+    }
+    updateFollowUI(this);
+  }
 
-            if (this.isHost) {
-              this.socket.emit('model-loaded', { url: `assets/${part.file}`, name: part.name });
-            }
-            resolve();
-          },
-          undefined,
-          (error) => {
-            console.error(`Error loading model ${part.file}:`, error);
-            reject(error);
-          }
-        );
-      });
+  // Place every part as in `transforms` ({ partId: { position, rotation, scale } }),
+  // or where its manifest places it when it isn't listed.
+  applyPartTransforms(transforms = {}) {
+    this.loadedModels.forEach((container, id) => {
+      const { position, rotation, scale } = transforms[id] || container.userData.defaultTransform;
+      container.position.fromArray(position);
+      container.rotation.fromArray(rotation);
+      container.scale.fromArray(scale);
+    });
+  }
+
+  // Move one part and send it out as a finished move, e.g. for undo/redo.
+  // Parts someone else is moving are left alone.
+  setPartTransform(partId, transform) {
+    const container = this.loadedModels.get(partId);
+    if (!container || this.partLockManager.isLockedByOther(partId)) return;
+    this.interpolator.clear(`part:${partId}`);
+    container.position.fromArray(transform.position);
+    container.rotation.fromArray(transform.rotation);
+    container.scale.fromArray(transform.scale);
+    if (this.partLockManager.acquire(partId)) {
+      this.sendPartTransform(container, true);
+      this.partLockManager.release(partId);
+    }
+  }
+
+  // Put every part back where its manifest places it.
+  resetPartTransforms() {
+    this.interpolator.clear();
+    this.applyPartTransforms();
+    this.tourManager.end();
+    this.explodeManager.setFactor(0);
+    updateExplodeUI(this);
+    this.partVisibility = {};
+    this.applyPartVisibility();
+    this.applyVariant(null);
+    this.sectionManager.setPlanes([]);
+    refreshSectionPanel(this);
+  }
+
+  // -----------------------------------------------------------------------------
+  // Material Variants
+  // -----------------------------------------------------------------------------
+  selectVariant(name) {
+    this.applyVariant(name);
+    if (this.isHost) {
+      this.socket.emit('variant-change', { variant: name });
+    }
+  }
+
+  applyVariant(name) {
+    this.variantManager.apply(name).catch((error) => {
+      console.error(`Could not apply variant ${name}:`, error);
+    });
+    refreshVariantPicker(this);
+  }
+
+  // -----------------------------------------------------------------------------
+  // Part Visibility (parts panel)
+  // -----------------------------------------------------------------------------
+  // `visibility` maps part ids to whether they are shown; the host's changes
+  // are broadcast as the full map so viewers always match it exactly.
+  setPartVisibility(visibility) {
+    const before = { ...this.partVisibility };
+    Object.entries(visibility).forEach(([partId, visible]) => {
+      if (visible) {
+        delete this.partVisibility[partId];
+      } else {
+        this.partVisibility[partId] = false;
+      }
+    });
+    this.applyPartVisibility();
+    this.historyManager.recordVisibility(before, this.partVisibility);
+    if (this.isHost) {
+      this.socket.emit('part-visibility', { visibility: this.partVisibility });
+    }
+  }
+
+  // Replace the whole visibility map, e.g. for undo/redo; parts not listed are shown.
+  replacePartVisibility(visibility) {
+    this.partVisibility = { ...visibility };
+    this.applyPartVisibility();
+    if (this.isHost) {
+      this.socket.emit('part-visibility', { visibility: this.partVisibility });
+    }
+  }
+
+  // Replace every section plane, e.g. for undo/redo, and send them out.
+  replaceSectionPlanes(planes) {
+    this.sectionManager.setPlanes(planes);
+    this.sectionManager.sendPlanes();
+    refreshSectionPanel(this);
+  }
+
+  applyPartVisibility() {
+    this.loadedModels.forEach((container, partId) => {
+      container.visible = this.partVisibility[partId] !== false;
+    });
+    refreshPartsPanel(this);
+  }
+
+  // Hide everything except one part.
+  isolatePart(partId) {
+    const visibility = {};
+    this.loadedModels.forEach((container, id) => {
+      visibility[id] = id === partId;
+    });
+    this.setPartVisibility(visibility);
+  }
+
+  showAllParts() {
+    const visibility = {};
+    this.loadedModels.forEach((container, id) => {
+      visibility[id] = true;
+    });
+    this.setPartVisibility(visibility);
+  }
+
+  // -----------------------------------------------------------------------------
+  // Saved Views
+  // -----------------------------------------------------------------------------
+  saveView(name) {
+    this.socket.emit('view-save', { name, ...this.viewpointManager.capture() });
+  }
+
+  // The host takes the room along; a viewer flies alone and stops following.
+  recallView(viewId) {
+    const view = this.viewpointManager.views.find((candidate) => candidate.id === viewId);
+    if (!view || this.isARMode) return;
+    if (this.isHost) {
+      this.socket.emit('view-recall', { id: viewId });
+    } else if (this.followHost) {
+      this.setFollowHost(false);
+    }
+    this.interpolator.clear('camera');
+    this.viewpointManager.flyTo(view);
+  }
+
+  focusPart(partId) {
+    const container = this.loadedModels.get(partId);
+    if (container) {
+      this.fitCameraToScene(container);
+    }
+  }
+
+  // -----------------------------------------------------------------------------
+  // Scene Tools & Annotations
+  // -----------------------------------------------------------------------------
+  // While a tool is active, clicks on the product go to the tool instead of dragging parts.
+  setActiveTool(tool) {
+    if (this.activeTool === 'measure') {
+      this.measurementManager.finish();
     }
-    // Hide the loading overlay once all parts are loaded and camera fitted.
-    if (loadingOverlay) {
-      loadingOverlay.style.display = 'none';
+    this.activeTool = tool;
+    this.dragControls.enabled = !tool;
+    this.interactionManager.setDragEnabled(!tool);
+    updateToolUI(this);
+    this.sectionManager.updateHandle();
+    refreshSectionPanel(this);
+    refreshChatPanel(this);
+  }
+
+  // Nearest visible part surface under `ndc`, with the part it belongs to.
+  raycastProduct(ndc) {
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(ndc, this.camera);
+    const visibleParts = this.productGroup.children.filter((child) => child.visible);
+    // Containers also report their bounding box; only real surfaces count here.
+    const hit = raycaster.intersectObjects(visibleParts, true).find((intersect) => intersect.object.isMesh);
+    if (!hit) return null;
+    let container = hit.object;
+    while (container.parent && container.parent !== this.productGroup) {
+      container = container.parent;
+    }
+    return { partId: container.name, container, point: hit.point, object: hit.object };
+  }
+
+  onScenePointerDown(event) {
+    this.scenePointerDown = { x: event.clientX, y: event.clientY };
+  }
+
+  // A click (rather than an orbit drag) on the scene while a tool is active.
+  onScenePointerUp(event) {
+    const start = this.scenePointerDown;
+    this.scenePointerDown = null;
+    if (!this.activeTool || !start || Math.hypot(event.clientX - start.x, event.clientY - start.y) > 5) return;
+    const ndc = new THREE.Vector2(
+      (event.clientX / window.innerWidth) * 2 - 1,
+      -(event.clientY / window.innerHeight) * 2 + 1
+    );
+    if (this.activeTool === 'annotate') {
+      this.addAnnotationAt(ndc);
+    } else if (this.activeTool === 'measure') {
+      const hit = this.raycastProduct(ndc);
+      if (hit) {
+        this.measurementManager.addPoint(hit);
+      }
+    } else if (this.activeTool === 'pin') {
+      const hit = this.raycastProduct(ndc);
+      if (hit) {
+        this.chatManager.setDraftPin(hit);
+        this.setActiveTool(null);
+      }
+    }
+  }
+
+  onKeyDown(event) {
+    // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes; typing in a field keeps its own undo.
+    const typing = event.target.closest && event.target.closest('input, textarea, select, [contenteditable]');
+    if ((event.ctrlKey || event.metaKey) && !typing && !this.playbackManager && this.canMoveParts()) {
+      const key = event.key.toLowerCase();
+      if (key === 'z' || key === 'y') {
+        event.preventDefault();
+        if (key === 'y' || event.shiftKey) {
+          this.historyManager.redo();
+        } else {
+          this.historyManager.undo();
+        }
+        return;
+      }
+    }
+    // Enter or Escape ends the current measurement chain.
+    if (this.activeTool === 'measure' && (event.key === 'Escape' || event.key === 'Enter')) {
+      this.measurementManager.finish();
+    }
+  }
+
+  async addAnnotationAt(ndc) {
+    const hit = this.raycastProduct(ndc);
+    if (!hit) return;
+    // Anchor to the part's model so the note follows drags and the exploded view.
+    const position = hit.container.children[0].worldToLocal(hit.point.clone()).toArray();
+    const text = await showPromptModal('Add annotation', `Note for ${hit.container.userData.displayName}:`, {
+      placeholder: 'e.g. Replaceable stainless blade'
+    });
+    if (text && this.isHost) {
+      this.socket.emit('annotation-add', { partId: hit.partId, position, text });
+    }
+  }
+
+  // -----------------------------------------------------------------------------
+  // Exploded View
+  // -----------------------------------------------------------------------------
+  // Animate the parts apart (factor > 0) or back together (factor 0); the host's
+  // animation is replayed by every viewer.
+  explode(factor, duration = 1000) {
+    this.explodeManager.animateTo(factor, duration);
+    updateExplodeUI(this);
+    if (this.isHost) {
+      this.socket.emit('explode', { factor, duration });
     }
   }
 
   // -----------------------------------------------------------------------------
   // Modified fitCameraToScene for an angled (isometric-like/perspective) view.
   // -----------------------------------------------------------------------------
-  fitCameraToScene() {
-    const box = new THREE.Box3().setFromObject(this.productGroup);
+  // Frames the whole product, or just `object` when given (e.g. a focused part).
+  setCameraFov(fov) {
+    if (this.camera.fov === fov) return;
+    this.camera.fov = fov;
+    this.camera.updateProjectionMatrix();
+  }
+
+  fitCameraToScene(object = this.productGroup) {
+    this.viewpointManager.cancel();
+    this.setCameraFov(DEFAULT_FOV);
+    const box = new THREE.Box3().setFromObject(object);
     const center = box.getCenter(new THREE.Vector3());
     const size = box.getSize(new THREE.Vector3());
     const maxDim = Math.max(size.x, size.y, size.z);
@@ -701,18 +1795,37 @@ class App {
   // -----------------------------------------------------------------------------
   // Model Loading (for external calls, e.g., from socket events)
   // -----------------------------------------------------------------------------
-  async loadModel(url, name) {
+  // `name` identifies the part across clients; pass its manifest entry as `part`
+  // to use the manifest's id, display name and default placement.
+  async loadModel(url, name, part = null) {
+    const id = part ? part.id : name;
+    const defaultTransform = {
+      position: part ? part.position : [0, 0, 0],
+      rotation: part ? part.rotation : [0, 0, 0],
+      scale: part ? part.scale : [1, 1, 1]
+    };
     return new Promise((resolve, reject) => {
       this.gltfLoader.load(
         url,
         (gltf) => {
           const model = gltf.scene;
           const container = new THREE.Group();
-          container.name = name;
+          container.name = id;
           container.userData.isDraggable = true;
+          container.userData.displayName = part ? part.name : name;
+          container.userData.part = part;
+          container.userData.defaultTransform = defaultTransform;
+          container.position.fromArray(defaultTransform.position);
+          container.rotation.fromArray(defaultTransform.rotation);
+          container.scale.fromArray(defaultTransform.scale);
+          // Dragging keeps parts at this scale.
+          container.userData.originalScale = container.scale.clone();
           container.add(model);
+          this.variantManager.registerModel(container, gltf);
 
           container.raycast = function (raycaster, intersects) {
+            // Hidden parts can't be picked or dragged.
+            if (!container.visible) return;
             const box = new THREE.Box3().setFromObject(container);
             if (!box.isEmpty()) {
               const intersectionPoint = new THREE.Vector3();
@@ -727,15 +1840,34 @@ class App {
             }
           };
 
-          this.draggableObjects.push(container);
           this.productGroup.add(container);
-          this.loadedModels.set(name, container);
+          this.loadedModels.set(id, container);
           this.updateDragControls();
-          this.interactionManager.setDraggableObjects(Array.from(this.loadedModels.values()));
+          this.interactionManager.setDraggableObjects(this.draggableObjects);
           this.fitCameraToScene();
-          console.log(`Loaded model: ${name}`);
+          if (this.pendingTransforms.has(id)) {
+            this.applyModelTransform(this.pendingTransforms.get(id));
+          }
+          container.visible = this.partVisibility[id] !== false;
+          refreshPartsPanel(this);
+          refreshViewsPanel(this);
+          refreshToursPanel(this);
+          if (this.variantManager.active) {
+            this.variantManager.applyToPart(container).catch((error) => {
+              console.error(`Could not apply variant to ${id}:`, error);
+            });
+          }
+          refreshVariantPicker(this);
+          if (this.sectionManager.planes.length > 0) {
+            this.sectionManager.rebuild();
+          }
+          // Parts arriving mid-explode join the others where they are.
+          if (this.explodeManager.factor !== 0) {
+            this.explodeManager.applyFactor(this.explodeManager.factor);
+          }
+          console.log(`Loaded model: ${id}`);
           if (this.isHost) {
-            this.socket.emit('model-loaded', { url, name });
+            this.socket.emit('model-loaded', { ...defaultTransform, ...part, id, name: container.userData.displayName, url });
           }
           resolve(container);
         },
@@ -743,7 +1875,7 @@ class App {
           // console.log(`${name} ${(xhr.loaded / xhr.total * 100).toFixed(2)}% loaded`);
         },
         error => {
-          console.error(`Error loading model ${name}:`, error);
+          console.error(`Error loading model ${id}:`, error);
           reject(error);
         }
       );
@@ -789,7 +1921,8 @@ class App {
         } else {
           raycaster.setFromCamera(this.pointerNDC, this.camera);
         }
-        const intersects = raycaster.intersectObjects(this.productGroup.children, true);
+        const visibleParts = this.productGroup.children.filter((child) => child.visible);
+        const intersects = raycaster.intersectObjects(visibleParts, true);
         if (intersects.length > 0) {
           const pointerPosition = intersects[0].point;
           this.hostPointer.position.copy(pointerPosition);
@@ -797,10 +1930,22 @@ class App {
         }
       }
 
+      if (this.playbackManager) {
+        this.playbackManager.update();
+      }
+      this.applyInterpolatedStates();
+      this.viewpointManager.update();
       if (!this.isDragging) {
         this.orbitControls.update();
       }
       this.interactionManager.update();
+      this.explodeManager.update();
+      this.annotationManager.update();
+      this.chatManager.update();
+      this.measurementManager.update();
+      this.sectionManager.update();
+      this.presenceManager.update();
+      this.partLockManager.update();
       this.renderer.render(this.scene, this.camera);
     });
   }
@@ -0,0 +1,260 @@
+// chatPanel.js
+
+// The room's chat, with a Q&A tab: questions from viewers wait there, open
+// ones first, until the host marks them answered. Messages can be pinned to
+// a point picked on the model. While a recording plays the chat is read-only.
+
+const TABS = { chat: 'Chat', questions: 'Q&A' };
+
+function createRowButton(text, onClick) {
+  const button = document.createElement('button');
+  button.textContent = text;
+  button.style.border = 'none';
+  button.style.background = 'none';
+  button.style.color = '#d00024';
+  button.style.cursor = 'pointer';
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+export function setupChatPanel(app) {
+  const panel = document.createElement('div');
+  panel.id = 'chat-panel';
+  panel.style.position = 'fixed';
+  panel.style.bottom = '10px';
+  panel.style.right = '280px';
+  panel.style.zIndex = '1000';
+  panel.style.width = '280px';
+  panel.style.backgroundColor = 'rgba(255, 255, 255, 0.95)';
+  panel.style.borderRadius = '8px';
+  panel.style.boxShadow = '0 2px 8px rgba(0, 0, 0, 0.2)';
+  panel.style.fontFamily = 'sans-serif';
+  panel.style.fontSize = '13px';
+
+  const header = document.createElement('button');
+  header.style.width = '100%';
+  header.style.padding = '8px 12px';
+  header.style.border = 'none';
+  header.style.outline = 'none';
+  header.style.borderRadius = '8px';
+  header.style.backgroundColor = '#d00024';
+  header.style.color = 'white';
+  header.style.textAlign = 'left';
+  header.style.cursor = 'pointer';
+
+  const body = document.createElement('div');
+  body.style.flexDirection = 'column';
+  body.style.gap = '6px';
+  body.style.padding = '8px 12px';
+
+  const tabs = document.createElement('div');
+  tabs.style.display = 'flex';
+  tabs.style.gap = '4px';
+
+  const list = document.createElement('div');
+  list.style.display = 'flex';
+  list.style.flexDirection = 'column';
+  list.style.gap = '6px';
+  list.style.maxHeight = '35vh';
+  list.style.overflowY = 'auto';
+
+  // The compose row survives list rebuilds so a half-written message is kept.
+  const compose = document.createElement('form');
+  compose.style.display = app.playbackManager ? 'none' : 'flex';
+  compose.style.flexDirection = 'column';
+  compose.style.gap = '4px';
+
+  const pinStatus = document.createElement('div');
+  pinStatus.style.display = 'flex';
+  pinStatus.style.alignItems = 'center';
+  pinStatus.style.fontSize = '11px';
+  pinStatus.style.color = '#777';
+
+  const inputRow = document.createElement('div');
+  inputRow.style.display = 'flex';
+  inputRow.style.gap = '4px';
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.maxLength = 500;
+  input.style.flex = '1';
+  input.style.minWidth = '0';
+  input.style.padding = '4px 8px';
+  input.style.border = '1px solid #ccc';
+  input.style.borderRadius = '4px';
+  input.style.fontFamily = 'inherit';
+  input.style.fontSize = '12px';
+
+  const pinButton = createRowButton('📍', () => {
+    app.setActiveTool(app.activeTool === 'pin' ? null : 'pin');
+  });
+  pinButton.type = 'button';
+
+  const sendButton = createRowButton('Send', () => {});
+  sendButton.type = 'submit';
+
+  compose.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const text = input.value.trim();
+    if (!text) return;
+    app.chatManager.send(text, app.chatPanel.tab === 'questions' ? 'question' : 'message');
+    input.value = '';
+  });
+
+  inputRow.appendChild(input);
+  inputRow.appendChild(pinButton);
+  inputRow.appendChild(sendButton);
+  compose.appendChild(pinStatus);
+  compose.appendChild(inputRow);
+
+  header.addEventListener('click', () => {
+    app.chatPanel.collapsed = !app.chatPanel.collapsed;
+    refreshChatPanel(app);
+  });
+
+  body.appendChild(tabs);
+  body.appendChild(list);
+  body.appendChild(compose);
+  panel.appendChild(header);
+  panel.appendChild(body);
+  document.body.appendChild(panel);
+
+  app.chatPanel = { panel, header, body, tabs, list, input, pinButton, pinStatus, tab: 'chat', collapsed: true };
+  refreshChatPanel(app);
+}
+
+function renderTabs(app, tabs) {
+  const chat = app.chatManager;
+  Object.entries(TABS).forEach(([tab, label]) => {
+    const open = tab === 'questions' ? chat.openQuestionCount() : 0;
+    const button = createRowButton(open ? `${label} (${open} open)` : label, () => {
+      app.chatPanel.tab = tab;
+      refreshChatPanel(app);
+    });
+    const active = app.chatPanel.tab === tab;
+    button.style.padding = '2px 10px';
+    button.style.borderRadius = '9999px';
+    button.style.backgroundColor = active ? '#d00024' : 'transparent';
+    button.style.color = active ? 'white' : '#d00024';
+    tabs.appendChild(button);
+  });
+}
+
+function renderMessage(app, message) {
+  const chat = app.chatManager;
+  const row = document.createElement('div');
+  row.style.display = 'flex';
+  row.style.flexDirection = 'column';
+  row.style.gap = '2px';
+  row.style.paddingLeft = '6px';
+  row.style.borderLeft = `3px solid ${message.color || '#999'}`;
+  if (message.kind === 'question' && message.answered) {
+    row.style.opacity = '0.6';
+  }
+
+  const meta = document.createElement('div');
+  meta.style.display = 'flex';
+  meta.style.alignItems = 'center';
+  meta.style.gap = '6px';
+  meta.style.fontSize = '11px';
+  meta.style.color = '#777';
+
+  const name = document.createElement('strong');
+  name.textContent = `${message.name}${message.fromHost ? ' (host)' : ''}`;
+  name.style.color = message.color || '#333';
+  meta.appendChild(name);
+
+  const time = document.createElement('span');
+  time.textContent = formatTime(message.createdAt);
+  meta.appendChild(time);
+
+  if (message.kind === 'question') {
+    const status = document.createElement('span');
+    status.textContent = message.answered ? 'Answered' : 'Question';
+    status.style.fontWeight = message.answered ? 'normal' : 'bold';
+    status.style.color = message.answered ? '#777' : '#d00024';
+    meta.appendChild(status);
+  }
+
+  const actions = document.createElement('span');
+  actions.style.marginLeft = 'auto';
+  if (message.pin) {
+    const pinButton = createRowButton(chat.shownPinId === message.id ? 'Hide pin' : '📍 Show', () => chat.toggleShownPin(message.id));
+    pinButton.style.fontSize = '11px';
+    actions.appendChild(pinButton);
+  }
+  if (message.kind === 'question' && app.isHost && !app.playbackManager) {
+    const answerButton = createRowButton(message.answered ? 'Reopen' : 'Mark answered', () => {
+      chat.setAnswered(message.id, !message.answered);
+    });
+    answerButton.style.fontSize = '11px';
+    actions.appendChild(answerButton);
+  }
+  meta.appendChild(actions);
+
+  const text = document.createElement('span');
+  text.textContent = message.text;
+  text.style.whiteSpace = 'pre-wrap';
+  text.style.overflowWrap = 'anywhere';
+
+  row.appendChild(meta);
+  row.appendChild(text);
+  return row;
+}
+
+// Rebuild the tabs and messages; call when the chat, the host or the pin tool change.
+export function refreshChatPanel(app) {
+  if (!app.chatPanel) return;
+  const { header, body, tabs, list, input, pinButton, pinStatus, tab, collapsed } = app.chatPanel;
+  const chat = app.chatManager;
+  if (!collapsed) {
+    chat.markRead();
+  }
+  const open = chat.openQuestionCount();
+  header.textContent = `${collapsed ? '▸' : '▾'} Chat (${chat.messages.length})` +
+    `${chat.unread ? ` · ${chat.unread} new` : ''}${open ? ` · ${open} open question${open === 1 ? '' : 's'}` : ''}`;
+  body.style.display = collapsed ? 'none' : 'flex';
+
+  tabs.innerHTML = '';
+  renderTabs(app, tabs);
+
+  // Q&A lists open questions first, each group oldest first.
+  const messages = tab === 'questions'
+    ? [...chat.questions().filter((message) => !message.answered), ...chat.questions().filter((message) => message.answered)]
+    : chat.messages;
+  list.innerHTML = '';
+  if (messages.length === 0) {
+    const empty = document.createElement('span');
+    empty.textContent = tab === 'questions' ? 'No questions yet.' : 'No messages yet.';
+    empty.style.color = '#999';
+    list.appendChild(empty);
+  }
+  messages.forEach((message) => list.appendChild(renderMessage(app, message)));
+  if (tab === 'chat') {
+    list.scrollTop = list.scrollHeight;
+  }
+
+  input.placeholder = tab === 'questions' ? 'Ask the host a question…' : 'Message everyone…';
+  const picking = app.activeTool === 'pin';
+  pinButton.title = picking ? 'Cancel picking a point' : 'Pin the message to a point on the model';
+  pinButton.style.opacity = picking || chat.draftPin ? '1' : '0.6';
+  pinStatus.innerHTML = '';
+  if (picking) {
+    pinStatus.textContent = 'Click the model to pin your message there.';
+  } else if (chat.draftPin) {
+    const container = app.loadedModels.get(chat.draftPin.partId);
+    const label = document.createElement('span');
+    label.textContent = `📍 Pinned to ${container ? container.userData.displayName : 'a part'}`;
+    label.style.flex = '1';
+    pinStatus.appendChild(label);
+    const clearButton = createRowButton('×', () => chat.clearDraftPin());
+    clearButton.type = 'button';
+    clearButton.title = 'Remove the pin';
+    pinStatus.appendChild(clearButton);
+  }
+  pinStatus.style.display = picking || chat.draftPin ? 'flex' : 'none';
+}
@@ -0,0 +1,71 @@
+// labelLayer.js
+
+// Screen-facing HTML labels for points in the scene (annotations, measurements).
+// Labels live in one overlay above the canvas and are repositioned every frame.
+
+import * as THREE from 'three';
+
+let layer = null;
+const projected = new THREE.Vector3();
+const raycaster = new THREE.Raycaster();
+
+function getLayer() {
+  if (!layer) {
+    layer = document.createElement('div');
+    layer.id = 'label-layer';
+    layer.style.position = 'fixed';
+    layer.style.top = '0';
+    layer.style.left = '0';
+    layer.style.width = '100%';
+    layer.style.height = '100%';
+    layer.style.overflow = 'hidden';
+    layer.style.pointerEvents = 'none';
+    layer.style.zIndex = '900';
+    document.body.appendChild(layer);
+  }
+  return layer;
+}
+
+export function createLabel() {
+  const label = document.createElement('div');
+  label.style.position = 'absolute';
+  label.style.top = '0';
+  label.style.left = '0';
+  label.style.display = 'none';
+  label.style.fontFamily = 'sans-serif';
+  label.style.fontSize = '13px';
+  label.style.whiteSpace = 'nowrap';
+  getLayer().appendChild(label);
+  return label;
+}
+
+export function removeLabel(label) {
+  if (label.parentNode) {
+    label.parentNode.removeChild(label);
+  }
+}
+
+// Something other than the point itself is in front of it along the camera ray.
+function isOccluded(worldPosition, camera, occluders) {
+  const direction = worldPosition.clone().sub(camera.position);
+  const distance = direction.length();
+  raycaster.set(camera.position, direction.normalize());
+  raycaster.far = distance;
+  const hit = raycaster.intersectObjects(occluders, true).find((intersect) => intersect.object.isMesh);
+  return !!hit && hit.distance < distance * 0.99;
+}
+
+// Centre the label's anchor on `worldPosition`. It is hidden when the point is
+// behind the camera, off screen, or (when `occluders` are given) covered by them.
+export function placeLabel(label, worldPosition, camera, occluders = null) {
+  projected.copy(worldPosition).project(camera);
+  const onScreen = projected.z < 1 && Math.abs(projected.x) <= 1 && Math.abs(projected.y) <= 1;
+  if (!onScreen || (occluders && isOccluded(worldPosition, camera, occluders))) {
+    label.style.display = 'none';
+    return;
+  }
+  const x = (projected.x + 1) / 2 * window.innerWidth;
+  const y = (1 - projected.y) / 2 * window.innerHeight;
+  label.style.display = 'block';
+  label.style.transform = `translate(${x}px, ${y}px) translate(-50%, -50%)`;
+}
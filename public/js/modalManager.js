@@ -10,6 +10,7 @@ function createModal() {
       <div class="custom-modal">
         <h3 class="custom-modal-title"></h3>
         <p class="custom-modal-message"></p>
+        <input class="custom-modal-input" type="text" />
         <div class="custom-modal-timer"></div>
         <div class="custom-modal-buttons"></div>
       </div>
@@ -18,8 +19,13 @@ function createModal() {
   }
 }
 
-function showModal({ title, message, countdown, buttons }) {
+// Pass `input` ({ placeholder, value }) to ask for text; button callbacks
+// receive what was typed. `onDismiss` runs if the modal closes without a
+// button, e.g. when another modal replaces it.
+function showModal({ title, message, countdown, buttons, input, onDismiss }) {
   createModal();
+  dismissModal();
+  modalOverlay._onDismiss = onDismiss || null;
 
   // Clear any previously stored interval and timeout to avoid conflicts.
   if (modalOverlay._interval) {
@@ -33,6 +39,7 @@ function showModal({ title, message, countdown, buttons }) {
 
   const titleElem = modalOverlay.querySelector('.custom-modal-title');
   const messageElem = modalOverlay.querySelector('.custom-modal-message');
+  const inputElem = modalOverlay.querySelector('.custom-modal-input');
   const timerElem = modalOverlay.querySelector('.custom-modal-timer');
   const buttonsElem = modalOverlay.querySelector('.custom-modal-buttons');
 
@@ -41,6 +48,15 @@ function showModal({ title, message, countdown, buttons }) {
   timerElem.textContent =
     typeof countdown === 'number' ? `Auto-allow in ${countdown}s` : '';
   buttonsElem.innerHTML = '';
+  inputElem.style.display = input ? 'block' : 'none';
+  inputElem.placeholder = input && input.placeholder ? input.placeholder : '';
+  inputElem.value = input && input.value ? input.value : '';
+  // Enter confirms with the first button.
+  inputElem.onkeydown = (event) => {
+    if (event.key === 'Enter' && buttonsElem.firstChild) {
+      buttonsElem.firstChild.click();
+    }
+  };
 
   if (buttons && Array.isArray(buttons)) {
     buttons.forEach((btn) => {
@@ -48,7 +64,8 @@ function showModal({ title, message, countdown, buttons }) {
       button.textContent = btn.text;
       button.style.margin = '0 5px';
       button.onclick = () => {
-        if (btn.onClick) btn.onClick();
+        modalOverlay._onDismiss = null;
+        if (btn.onClick) btn.onClick(inputElem.value);
         hideModal();
       };
       buttonsElem.appendChild(button);
@@ -56,6 +73,9 @@ function showModal({ title, message, countdown, buttons }) {
   }
 
   modalOverlay.style.display = 'flex';
+  if (input) {
+    inputElem.focus();
+  }
 
   // Use both an interval (to update display) and a setTimeout to ensure the full countdown time.
   if (typeof countdown === 'number') {
@@ -81,8 +101,16 @@ function showModal({ title, message, countdown, buttons }) {
   }
 }
 
+// Let the modal on screen know it is going away unanswered.
+function dismissModal() {
+  const onDismiss = modalOverlay._onDismiss;
+  modalOverlay._onDismiss = null;
+  if (onDismiss) onDismiss();
+}
+
 export function hideModal() {
   if (modalOverlay) {
+    dismissModal();
     modalOverlay.style.display = 'none';
     if (modalOverlay._interval) {
       clearInterval(modalOverlay._interval);
@@ -95,61 +123,56 @@ export function hideModal() {
   }
 }
 
-export function showHostRequestModal(app, data, countdownTime = 30) {
-  // This modal is shown on the active host side to allow an incoming host-transfer request.
+export function showViewerRequestModal(app, { position, deadline }) {
+  // This modal is shown on the viewer side once its request joins the queue.
+  // Only the first request under the auto policy has a countdown.
   showModal({
     title: 'Host Control Request',
-    message: 'A viewer has requested to take over.',
-    countdown: countdownTime,
+    message: position > 1 ? `You're number ${position} in line for control.` : 'Awaiting host to allow.',
+    countdown: deadline ? Math.max(0, Math.round((deadline - Date.now()) / 1000)) : undefined,
     buttons: [
       {
-        text: 'Allow',
-        onClick: () => {
-          app.socket.emit('release-host', { requestId: data.requestId });
-        },
+        text: 'Wait',
+        onClick: () => {},
         autoTimeoutCallback: () => {
-          app.socket.emit('auto-promote', { requestId: data.requestId });
+          app.socket.emit('auto-promote');
         },
       },
       {
-        text: 'Deny',
+        text: 'Cancel',
         onClick: () => {
-          app.socket.emit('deny-host', { requestId: data.requestId });
+          app.socket.emit('cancel-host-request');
+          app.hostRequestPending = false;
         },
       },
     ],
   });
 }
 
-export function showViewerRequestModal(app, countdownTime = 30) {
-  // This modal is shown on the viewer side when requesting the host role.
+export function showConfirmationModal(message) {
+  // A generic confirmation modal with an OK button and no countdown.
   showModal({
-    title: 'Host Control Request',
-    message: 'Awaiting host to allow.',
-    countdown: countdownTime,
+    title: 'Confirmation',
+    message: message,
     buttons: [
       {
-        text: 'Cancel',
+        text: 'Confirm',
         onClick: () => {
-          app.socket.emit('cancel-host-request');
-          app.hostRequestPending = false;
-        },
-        autoTimeoutCallback: () => {
-          app.socket.emit('auto-promote');
+          hideModal();
         },
       },
     ],
   });
 }
 
-export function showConfirmationModal(message) {
-  // A generic confirmation modal with an OK button and no countdown.
+export function showErrorModal(message) {
+  // Same as the confirmation modal, but titled for failures the user should know about.
   showModal({
-    title: 'Confirmation',
+    title: 'Something went wrong',
     message: message,
     buttons: [
       {
-        text: 'Confirm',
+        text: 'OK',
         onClick: () => {
           hideModal();
         },
@@ -158,6 +181,28 @@ export function showConfirmationModal(message) {
   });
 }
 
+// Ask for a line of text; resolves to the trimmed text, or null if cancelled or left empty.
+export function showPromptModal(title, message, { placeholder = '', value = '' } = {}) {
+  return new Promise((resolve) => {
+    showModal({
+      title,
+      message,
+      input: { placeholder, value },
+      buttons: [
+        {
+          text: 'OK',
+          onClick: (text) => resolve(text.trim() || null),
+        },
+        {
+          text: 'Cancel',
+          onClick: () => resolve(null),
+        },
+      ],
+      onDismiss: () => resolve(null),
+    });
+  });
+}
+
 // Inject modal CSS.
 const style = document.createElement('style');
 style.textContent = `
@@ -187,6 +232,15 @@ style.textContent = `
 .custom-modal-message {
   padding: 20px 0px
 }
+.custom-modal-input {
+  width: 100%;
+  box-sizing: border-box;
+  margin-bottom: 15px;
+  padding: 8px 12px;
+  border: 1px solid #d00024;
+  border-radius: 9999px;
+  outline: none;
+}
 .custom-modal-buttons button {
   padding: 8px 16px;
   border: none;
@@ -0,0 +1,59 @@
+// networkSync.js
+
+// Outgoing camera and part updates. Orbiting and dragging fire far more often
+// than viewers can use, so each stream is sent at most once per network tick,
+// with numbers rounded to keep payloads small. A final, unrounded state goes
+// out straight away when the orbit or drag ends.
+
+// Milliseconds between updates of one stream (about 15 per second).
+export const NETWORK_TICK = 66;
+// Rounding step: 0.1 mm for positions in metres, well under a degree for angles.
+const PRECISION = 1e4;
+
+export function quantize(values) {
+  return values.map((value) => Math.round(value * PRECISION) / PRECISION);
+}
+
+// Throttle for several streams keyed by name (e.g. 'camera' or 'part:blade').
+// The newest payload of a stream always wins; older unsent ones are dropped.
+export function createThrottledEmitter(socket, interval = NETWORK_TICK) {
+  const lastSent = new Map();
+  const pending = new Map(); // key -> { event, payload, timer }
+
+  function send(key, event, payload) {
+    lastSent.set(key, performance.now());
+    socket.emit(event, payload);
+  }
+
+  return {
+    emit(key, event, payload) {
+      const waiting = pending.get(key);
+      if (waiting) {
+        waiting.event = event;
+        waiting.payload = payload;
+        return;
+      }
+      const wait = interval - (performance.now() - (lastSent.get(key) || 0));
+      if (wait <= 0) {
+        send(key, event, payload);
+        return;
+      }
+      const entry = { event, payload, timer: null };
+      entry.timer = setTimeout(() => {
+        pending.delete(key);
+        send(key, entry.event, entry.payload);
+      }, wait);
+      pending.set(key, entry);
+    },
+
+    // Send now, replacing anything still waiting for this stream.
+    flush(key, event, payload) {
+      const waiting = pending.get(key);
+      if (waiting) {
+        clearTimeout(waiting.timer);
+        pending.delete(key);
+      }
+      send(key, event, payload);
+    }
+  };
+}
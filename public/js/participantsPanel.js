@@ -0,0 +1,235 @@
+// participantsPanel.js
+
+// A collapsible list of everyone in the room, built from the server's
+// roster: who is hosting, who is asking for control, what they are viewing
+// on and whether they can use AR. Your own entry can be renamed. Requests
+// for control queue here too: the host allows or denies them, marks
+// presenters and picks the room's handover policy.
+
+import { showPromptModal } from './modalManager.js';
+
+const DEVICE_LABELS = { desktop: 'Desktop', mobile: 'Phone', tablet: 'Tablet', headset: 'Headset' };
+const POLICY_LABELS = { auto: 'Allow automatically after…', approval: 'Host approves each request', presenters: 'Presenters only' };
+
+function createBadge(text, color) {
+  const badge = document.createElement('span');
+  badge.textContent = text;
+  badge.style.padding = '0 6px';
+  badge.style.borderRadius = '9999px';
+  badge.style.backgroundColor = color;
+  badge.style.color = 'white';
+  badge.style.fontSize = '11px';
+  return badge;
+}
+
+function createRowButton(text, onClick) {
+  const button = document.createElement('button');
+  button.textContent = text;
+  button.style.border = 'none';
+  button.style.background = 'none';
+  button.style.color = '#d00024';
+  button.style.cursor = 'pointer';
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+// The room's handover policy: editable by the host, read-only for everyone else.
+// Built once and kept out of the rebuilt list, so a roster update doesn't
+// throw away seconds the host is typing; updatePolicyRow() fills in the values.
+function createPolicyRow(app) {
+  const row = document.createElement('div');
+  row.style.display = 'flex';
+  row.style.alignItems = 'center';
+  row.style.gap = '6px';
+  row.style.fontSize = '12px';
+
+  const summary = document.createElement('span');
+  summary.style.color = '#777';
+
+  const select = document.createElement('select');
+  select.style.flex = '1';
+  Object.entries(POLICY_LABELS).forEach(([mode, label]) => {
+    const option = document.createElement('option');
+    option.value = mode;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+
+  const seconds = document.createElement('input');
+  seconds.type = 'number';
+  seconds.min = '5';
+  seconds.max = '600';
+  seconds.style.width = '52px';
+
+  const sendPolicy = () => {
+    app.socket.emit('transfer-policy', { mode: select.value, seconds: Number(seconds.value) });
+  };
+  select.addEventListener('change', sendPolicy);
+  seconds.addEventListener('change', sendPolicy);
+
+  row.appendChild(summary);
+  row.appendChild(select);
+  row.appendChild(seconds);
+  return { row, summary, select, seconds };
+}
+
+function updatePolicyRow(app, { summary, select, seconds }) {
+  const { policy } = app.transferQueue;
+  summary.style.display = app.isHost ? 'none' : 'inline';
+  summary.textContent = policy.mode === 'auto'
+    ? `Handover: allowed automatically after ${policy.seconds}s`
+    : `Handover: ${POLICY_LABELS[policy.mode].toLowerCase()}`;
+  select.style.display = app.isHost ? 'block' : 'none';
+  select.value = policy.mode;
+  seconds.style.display = app.isHost && policy.mode === 'auto' ? 'inline-block' : 'none';
+  if (document.activeElement !== seconds) {
+    seconds.value = policy.seconds;
+  }
+}
+
+export function setupParticipantsPanel(app) {
+  const panel = document.createElement('div');
+  panel.id = 'participants-panel';
+  panel.style.position = 'fixed';
+  panel.style.bottom = '10px';
+  panel.style.right = '10px';
+  panel.style.zIndex = '1000';
+  panel.style.width = '260px';
+  panel.style.backgroundColor = 'rgba(255, 255, 255, 0.95)';
+  panel.style.borderRadius = '8px';
+  panel.style.boxShadow = '0 2px 8px rgba(0, 0, 0, 0.2)';
+  panel.style.fontFamily = 'sans-serif';
+  panel.style.fontSize = '13px';
+
+  const header = document.createElement('button');
+  header.style.width = '100%';
+  header.style.padding = '8px 12px';
+  header.style.border = 'none';
+  header.style.outline = 'none';
+  header.style.borderRadius = '8px';
+  header.style.backgroundColor = '#d00024';
+  header.style.color = 'white';
+  header.style.textAlign = 'left';
+  header.style.cursor = 'pointer';
+
+  const body = document.createElement('div');
+  body.style.flexDirection = 'column';
+  body.style.gap = '8px';
+  body.style.padding = '8px 12px';
+  body.style.maxHeight = '40vh';
+  body.style.overflowY = 'auto';
+
+  const policyRow = createPolicyRow(app);
+
+  const list = document.createElement('div');
+  list.style.display = 'flex';
+  list.style.flexDirection = 'column';
+  list.style.gap = '8px';
+
+  header.addEventListener('click', () => {
+    app.participantsPanel.collapsed = !app.participantsPanel.collapsed;
+    refreshParticipantsPanel(app);
+  });
+
+  body.appendChild(policyRow.row);
+  body.appendChild(list);
+  panel.appendChild(header);
+  panel.appendChild(body);
+  document.body.appendChild(panel);
+
+  app.participantsPanel = { panel, header, body, policyRow, list, collapsed: true };
+  refreshParticipantsPanel(app);
+}
+
+// Rebuild the list from `app.roster`; call whenever the server sends a new roster.
+export function refreshParticipantsPanel(app) {
+  if (!app.participantsPanel) return;
+  const { header, body, policyRow, list, collapsed } = app.participantsPanel;
+  const roster = app.roster || [];
+  const queue = app.transferQueue.requests;
+  header.textContent = `${collapsed ? '▸' : '▾'} People (${roster.length})${queue.length ? ` · ${queue.length} asking for control` : ''}`;
+  body.style.display = collapsed ? 'none' : 'flex';
+  updatePolicyRow(app, policyRow);
+  list.innerHTML = '';
+
+  roster.forEach((participant) => {
+    const isSelf = participant.id === app.socket.id;
+    const requestIndex = queue.findIndex((request) => request.requester === participant.id);
+    const request = queue[requestIndex];
+    const row = document.createElement('div');
+    row.style.display = 'flex';
+    row.style.flexDirection = 'column';
+    row.style.gap = '2px';
+
+    const nameLine = document.createElement('div');
+    nameLine.style.display = 'flex';
+    nameLine.style.alignItems = 'center';
+    nameLine.style.gap = '6px';
+
+    const dot = document.createElement('span');
+    dot.style.width = '10px';
+    dot.style.height = '10px';
+    dot.style.borderRadius = '50%';
+    dot.style.flexShrink = '0';
+    dot.style.backgroundColor = participant.role === 'host' ? '#d00024' : participant.color;
+
+    const name = document.createElement('span');
+    name.textContent = isSelf ? `${participant.name} (you)` : participant.name;
+    name.style.overflow = 'hidden';
+    name.style.textOverflow = 'ellipsis';
+    name.style.whiteSpace = 'nowrap';
+
+    nameLine.appendChild(dot);
+    nameLine.appendChild(name);
+    if (participant.role === 'host') {
+      nameLine.appendChild(createBadge('Host', '#d00024'));
+    }
+    if (participant.presenter) {
+      nameLine.appendChild(createBadge('Presenter', '#7b4fd6'));
+    }
+    if (request) {
+      nameLine.appendChild(createBadge(`#${requestIndex + 1} for control`, '#e9a100'));
+    }
+    if (isSelf) {
+      const renameButton = createRowButton('Rename', async () => {
+        const newName = await showPromptModal('Your name', 'How should others see you?', { value: participant.name });
+        if (newName) {
+          app.setDisplayName(newName);
+        }
+      });
+      renameButton.style.marginLeft = 'auto';
+      nameLine.appendChild(renameButton);
+    }
+
+    const details = document.createElement('div');
+    details.style.color = '#777';
+    details.style.fontSize = '11px';
+    details.style.paddingLeft = '16px';
+    const joined = new Date(participant.connectedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    details.textContent = [
+      DEVICE_LABELS[participant.device] || participant.device,
+      participant.arCapable ? 'AR ready' : null,
+      `joined ${joined}`
+    ].filter(Boolean).join(' · ');
+
+    row.appendChild(nameLine);
+    row.appendChild(details);
+
+    // Host actions: answer a request, or let someone take over under the presenters policy.
+    if (app.isHost && !isSelf) {
+      const actions = document.createElement('div');
+      actions.style.display = 'flex';
+      actions.style.gap = '4px';
+      actions.style.paddingLeft = '12px';
+      if (request) {
+        actions.appendChild(createRowButton('Allow', () => app.socket.emit('release-host', { requestId: request.requestId })));
+        actions.appendChild(createRowButton('Deny', () => app.socket.emit('deny-host', { requestId: request.requestId })));
+      }
+      actions.appendChild(createRowButton(participant.presenter ? 'Remove presenter' : 'Make presenter', () => {
+        app.socket.emit('set-presenter', { id: participant.id, presenter: !participant.presenter });
+      }));
+      row.appendChild(actions);
+    }
+    list.appendChild(row);
+  });
+}
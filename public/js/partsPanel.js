@@ -0,0 +1,109 @@
+// partsPanel.js
+
+// A collapsible list of the parts in the scene, with show/hide, isolate and
+// focus actions. Visibility changes made by the host are synced to viewers
+// by the app; focusing only moves the local camera (and the host's camera
+// updates are synced as usual).
+
+function createActionButton(label, onClick) {
+  const button = document.createElement('button');
+  button.textContent = label;
+  button.style.padding = '2px 8px';
+  button.style.border = '1px solid #d00024';
+  button.style.outline = 'none';
+  button.style.borderRadius = '9999px';
+  button.style.backgroundColor = 'white';
+  button.style.color = '#d00024';
+  button.style.fontSize = '12px';
+  button.style.cursor = 'pointer';
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+export function setupPartsPanel(app) {
+  const panel = document.createElement('div');
+  panel.id = 'parts-panel';
+  panel.style.position = 'fixed';
+  panel.style.top = '60px';
+  panel.style.left = '10px';
+  panel.style.zIndex = '1000';
+  panel.style.width = '260px';
+  panel.style.backgroundColor = 'rgba(255, 255, 255, 0.95)';
+  panel.style.borderRadius = '8px';
+  panel.style.boxShadow = '0 2px 8px rgba(0, 0, 0, 0.2)';
+  panel.style.fontFamily = 'sans-serif';
+  panel.style.fontSize = '13px';
+  panel.style.display = 'none';
+
+  const header = document.createElement('button');
+  header.style.width = '100%';
+  header.style.padding = '8px 12px';
+  header.style.border = 'none';
+  header.style.outline = 'none';
+  header.style.borderRadius = '8px';
+  header.style.backgroundColor = '#d00024';
+  header.style.color = 'white';
+  header.style.textAlign = 'left';
+  header.style.cursor = 'pointer';
+
+  const list = document.createElement('div');
+  list.style.display = 'flex';
+  list.style.flexDirection = 'column';
+  list.style.gap = '6px';
+  list.style.padding = '8px 12px';
+  list.style.maxHeight = '50vh';
+  list.style.overflowY = 'auto';
+
+  header.addEventListener('click', () => {
+    app.partsPanel.collapsed = !app.partsPanel.collapsed;
+    refreshPartsPanel(app);
+  });
+
+  panel.appendChild(header);
+  panel.appendChild(list);
+  document.body.appendChild(panel);
+
+  app.partsPanel = { panel, header, list, collapsed: true };
+  refreshPartsPanel(app);
+}
+
+// Rebuild the list from `app.loadedModels`; call whenever parts or their visibility change.
+export function refreshPartsPanel(app) {
+  if (!app.partsPanel) return;
+  const { panel, header, list, collapsed } = app.partsPanel;
+  panel.style.display = app.loadedModels.size > 0 ? 'block' : 'none';
+  header.textContent = `${collapsed ? '▸' : '▾'} Parts (${app.loadedModels.size})`;
+  list.style.display = collapsed ? 'none' : 'flex';
+  list.innerHTML = '';
+
+  app.loadedModels.forEach((container, partId) => {
+    const row = document.createElement('div');
+    row.style.display = 'flex';
+    row.style.alignItems = 'center';
+    row.style.gap = '4px';
+
+    const label = document.createElement('span');
+    label.textContent = container.userData.displayName || partId;
+    label.style.flex = '1';
+    label.style.overflow = 'hidden';
+    label.style.textOverflow = 'ellipsis';
+    label.style.whiteSpace = 'nowrap';
+    label.style.color = container.visible ? '#333' : '#999';
+
+    const visibilityButton = createActionButton(container.visible ? 'Hide' : 'Show', () => {
+      app.setPartVisibility({ [partId]: !container.visible });
+    });
+    const isolateButton = createActionButton('Isolate', () => app.isolatePart(partId));
+    const focusButton = createActionButton('Focus', () => app.focusPart(partId));
+
+    row.appendChild(label);
+    row.appendChild(visibilityButton);
+    row.appendChild(isolateButton);
+    row.appendChild(focusButton);
+    list.appendChild(row);
+  });
+
+  const showAllButton = createActionButton('Show all', () => app.showAllParts());
+  showAllButton.style.alignSelf = 'flex-start';
+  list.appendChild(showAllButton);
+}
@@ -0,0 +1,91 @@
+// playbackPanel.js
+
+// Player bar for watching a recorded session: play/pause, a seek slider and
+// the time. Shown instead of the live controls when the page is opened with
+// `?recording=<id>`.
+
+function formatTime(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+}
+
+export function setupPlaybackPanel(app) {
+  const playback = app.playbackManager;
+  const panel = document.createElement('div');
+  panel.id = 'playback-panel';
+  panel.style.position = 'fixed';
+  panel.style.bottom = '10px';
+  panel.style.left = '50%';
+  panel.style.transform = 'translateX(-50%)';
+  panel.style.zIndex = '1000';
+  panel.style.width = 'min(520px, calc(100% - 20px))';
+  panel.style.boxSizing = 'border-box';
+  panel.style.padding = '8px 12px';
+  panel.style.backgroundColor = 'rgba(255, 255, 255, 0.95)';
+  panel.style.borderRadius = '9999px';
+  panel.style.boxShadow = '0 2px 8px rgba(0, 0, 0, 0.2)';
+  panel.style.fontFamily = 'sans-serif';
+  panel.style.fontSize = '13px';
+  panel.style.display = 'flex';
+  panel.style.alignItems = 'center';
+  panel.style.gap = '10px';
+
+  const playButton = document.createElement('button');
+  playButton.style.padding = '6px 18px';
+  playButton.style.border = 'none';
+  playButton.style.outline = 'none';
+  playButton.style.borderRadius = '9999px';
+  playButton.style.backgroundColor = '#d00024';
+  playButton.style.color = 'white';
+  playButton.style.cursor = 'pointer';
+  playButton.addEventListener('click', () => {
+    if (playback.playing) {
+      playback.pause();
+    } else {
+      playback.play();
+    }
+  });
+
+  const slider = document.createElement('input');
+  slider.type = 'range';
+  slider.min = '0';
+  slider.step = '100';
+  slider.style.flex = '1';
+  slider.style.accentColor = '#d00024';
+  // Dragging only moves the label; the scene is rebuilt once the thumb is let go.
+  slider.addEventListener('input', () => {
+    app.playbackPanel.seeking = true;
+    timeLabel.textContent = `${formatTime(Number(slider.value))} / ${formatTime(playback.duration)}`;
+  });
+  slider.addEventListener('change', () => {
+    app.playbackPanel.seeking = false;
+    playback.seek(Number(slider.value));
+  });
+
+  const timeLabel = document.createElement('span');
+  timeLabel.style.color = '#333';
+  timeLabel.style.whiteSpace = 'nowrap';
+
+  panel.appendChild(playButton);
+  panel.appendChild(slider);
+  panel.appendChild(timeLabel);
+  document.body.appendChild(panel);
+
+  app.playbackPanel = { panel, playButton, slider, timeLabel, seeking: false };
+  refreshPlaybackPanel(app);
+}
+
+// Bring the player up to date with the playback time and state.
+export function refreshPlaybackPanel(app) {
+  if (!app.playbackPanel) return;
+  const playback = app.playbackManager;
+  const { playButton, slider, timeLabel, seeking } = app.playbackPanel;
+  playButton.textContent = playback.playing ? 'Pause' : 'Play';
+  slider.max = String(playback.duration);
+  if (!seeking) {
+    slider.value = String(playback.position);
+    timeLabel.textContent = `${formatTime(playback.position)} / ${formatTime(playback.duration)}`;
+  }
+}
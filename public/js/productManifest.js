@@ -0,0 +1,47 @@
+// productManifest.js
+
+// A product manifest describes a product as a set of parts:
+//   { id, name, units, metadata,
+//     parts: [{ id, name, file, position, rotation, scale, explode, metadata }],
+//     variants: [{ name, parts: { partId: { color, roughness, metalness } } }] }
+// `file` is resolved against the manifest's own URL. Position, rotation and
+// scale are the part's default placement; `explode` is its exploded-view offset.
+// Variants are named colourways overriding the materials of the listed parts.
+//
+// The server normalizes every manifest (server.js normalizeManifest) and is
+// the only place part ids are made, so host and viewers always agree on them.
+
+// The built-in demo product (public/assets/kool-mandoline.manifest.json).
+export const DEFAULT_PRODUCT_ID = 'kool-mandoline';
+
+const UNITS = ['m', 'cm', 'mm', 'in'];
+
+function toVector3(value, fallback) {
+  return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite) ? value.slice() : fallback;
+}
+
+// Fill in defaults for a product the server sent, so the rest of the viewer
+// can rely on every field being there. Part ids are kept as the server made them.
+export function normalizeManifest(manifest, baseUrl = window.location.href) {
+  const parts = (manifest.parts || []).map((part) => {
+    const id = String(part.id);
+    return {
+      id,
+      name: part.name || id,
+      url: part.url || new URL(part.file, baseUrl).href,
+      position: toVector3(part.position, [0, 0, 0]),
+      rotation: toVector3(part.rotation, [0, 0, 0]),
+      scale: toVector3(part.scale, [1, 1, 1]),
+      explode: toVector3(part.explode, null),
+      metadata: part.metadata || {}
+    };
+  });
+  return {
+    id: manifest.id || null,
+    name: manifest.name || 'Untitled product',
+    units: UNITS.includes(manifest.units) ? manifest.units : 'm',
+    metadata: manifest.metadata || {},
+    parts,
+    variants: (manifest.variants || []).filter((variant) => variant && variant.name && variant.parts)
+  };
+}
@@ -0,0 +1,108 @@
+// sectionPanel.js
+
+// Host panel for the section tool: add X/Y/Z planes, pick the plane the
+// handle is on, switch the handle between moving and tilting, flip or
+// remove planes. Shown while the section tool is active.
+
+function createPanelButton(label, onClick, active = false) {
+  const button = document.createElement('button');
+  button.textContent = label;
+  button.style.padding = '2px 10px';
+  button.style.border = '1px solid #d00024';
+  button.style.outline = 'none';
+  button.style.borderRadius = '9999px';
+  button.style.backgroundColor = active ? '#d00024' : 'white';
+  button.style.color = active ? 'white' : '#d00024';
+  button.style.fontSize = '12px';
+  button.style.cursor = 'pointer';
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function createRow() {
+  const row = document.createElement('div');
+  row.style.display = 'flex';
+  row.style.alignItems = 'center';
+  row.style.gap = '4px';
+  return row;
+}
+
+export function setupSectionPanel(app) {
+  const panel = document.createElement('div');
+  panel.id = 'section-panel';
+  panel.style.position = 'fixed';
+  panel.style.top = '60px';
+  panel.style.right = '10px';
+  panel.style.zIndex = '1000';
+  panel.style.width = '240px';
+  panel.style.padding = '10px 12px';
+  panel.style.backgroundColor = 'rgba(255, 255, 255, 0.95)';
+  panel.style.borderRadius = '8px';
+  panel.style.boxShadow = '0 2px 8px rgba(0, 0, 0, 0.2)';
+  panel.style.fontFamily = 'sans-serif';
+  panel.style.fontSize = '13px';
+  panel.style.display = 'none';
+  panel.style.flexDirection = 'column';
+  panel.style.gap = '8px';
+  document.body.appendChild(panel);
+
+  app.sectionPanel = panel;
+  refreshSectionPanel(app);
+}
+
+// Rebuild the panel; call when planes, the selection or the active tool change.
+export function refreshSectionPanel(app) {
+  const panel = app.sectionPanel;
+  if (!panel) return;
+  const sections = app.sectionManager;
+  panel.style.display = app.activeTool === 'section' ? 'flex' : 'none';
+  panel.innerHTML = '';
+
+  const title = document.createElement('strong');
+  title.textContent = 'Section planes';
+  panel.appendChild(title);
+
+  const addRow = createRow();
+  addRow.appendChild(document.createTextNode('Add:'));
+  ['x', 'y', 'z'].forEach((axis) => {
+    addRow.appendChild(createPanelButton(axis.toUpperCase(), () => {
+      sections.addPlane(axis);
+      refreshSectionPanel(app);
+    }));
+  });
+  panel.appendChild(addRow);
+
+  const modeRow = createRow();
+  modeRow.appendChild(document.createTextNode('Handle:'));
+  [['translate', 'Move'], ['rotate', 'Tilt']].forEach(([mode, label]) => {
+    modeRow.appendChild(createPanelButton(label, () => {
+      sections.setHandleMode(mode);
+      refreshSectionPanel(app);
+    }, sections.handleMode === mode));
+  });
+  panel.appendChild(modeRow);
+
+  if (sections.planes.length === 0) {
+    const empty = document.createElement('span');
+    empty.textContent = 'No planes yet.';
+    empty.style.color = '#999';
+    panel.appendChild(empty);
+  }
+
+  sections.planes.forEach((plane, index) => {
+    const row = createRow();
+    const selected = plane.id === sections.selectedId;
+    const label = createPanelButton(`Plane ${index + 1}${plane.axis ? ` (${plane.axis.toUpperCase()})` : ''}`, () => {
+      sections.selectPlane(plane.id);
+      refreshSectionPanel(app);
+    }, selected);
+    label.style.flex = '1';
+    row.appendChild(label);
+    row.appendChild(createPanelButton('Flip', () => sections.flipPlane(plane.id)));
+    row.appendChild(createPanelButton('Remove', () => {
+      sections.removePlane(plane.id);
+      refreshSectionPanel(app);
+    }));
+    panel.appendChild(row);
+  });
+}
@@ -0,0 +1,278 @@
+// toursPanel.js
+
+// Tours: the host's list of the product's tours (start, edit, remove, or
+// build a new one step by step from the current scene), and the caption bar
+// everyone sees while a tour is on, with Previous/Next/Play for the host.
+
+import { showPromptModal } from './modalManager.js';
+
+function createRowButton(text, onClick) {
+  const button = document.createElement('button');
+  button.textContent = text;
+  button.style.border = 'none';
+  button.style.background = 'none';
+  button.style.color = '#d00024';
+  button.style.cursor = 'pointer';
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function createBarButton(text, onClick) {
+  const button = document.createElement('button');
+  button.textContent = text;
+  button.style.padding = '4px 14px';
+  button.style.border = '1px solid #d00024';
+  button.style.outline = 'none';
+  button.style.borderRadius = '9999px';
+  button.style.backgroundColor = 'white';
+  button.style.color = '#d00024';
+  button.style.fontSize = '12px';
+  button.style.cursor = 'pointer';
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function createInput(type, placeholder) {
+  const input = document.createElement(type === 'textarea' ? 'textarea' : 'input');
+  if (type !== 'textarea') input.type = type;
+  input.placeholder = placeholder;
+  input.style.width = '100%';
+  input.style.boxSizing = 'border-box';
+  input.style.padding = '4px 8px';
+  input.style.border = '1px solid #ccc';
+  input.style.borderRadius = '4px';
+  input.style.fontFamily = 'inherit';
+  input.style.fontSize = '12px';
+  return input;
+}
+
+export function setupToursPanel(app) {
+  const panel = document.createElement('div');
+  panel.id = 'tours-panel';
+  panel.style.position = 'fixed';
+  panel.style.bottom = '10px';
+  panel.style.left = '240px';
+  panel.style.zIndex = '1000';
+  panel.style.width = '260px';
+  panel.style.backgroundColor = 'rgba(255, 255, 255, 0.95)';
+  panel.style.borderRadius = '8px';
+  panel.style.boxShadow = '0 2px 8px rgba(0, 0, 0, 0.2)';
+  panel.style.fontFamily = 'sans-serif';
+  panel.style.fontSize = '13px';
+  panel.style.display = 'none';
+
+  const header = document.createElement('button');
+  header.style.width = '100%';
+  header.style.padding = '8px 12px';
+  header.style.border = 'none';
+  header.style.outline = 'none';
+  header.style.borderRadius = '8px';
+  header.style.backgroundColor = '#d00024';
+  header.style.color = 'white';
+  header.style.textAlign = 'left';
+  header.style.cursor = 'pointer';
+
+  const list = document.createElement('div');
+  list.style.flexDirection = 'column';
+  list.style.gap = '6px';
+  list.style.padding = '8px 12px';
+  list.style.maxHeight = '50vh';
+  list.style.overflowY = 'auto';
+
+  header.addEventListener('click', () => {
+    app.toursPanel.collapsed = !app.toursPanel.collapsed;
+    refreshToursPanel(app);
+  });
+
+  panel.appendChild(header);
+  panel.appendChild(list);
+  document.body.appendChild(panel);
+
+  // Caption bar for the step on show.
+  const bar = document.createElement('div');
+  bar.id = 'tour-bar';
+  bar.style.position = 'fixed';
+  bar.style.bottom = '70px';
+  bar.style.left = '50%';
+  bar.style.transform = 'translateX(-50%)';
+  bar.style.zIndex = '1000';
+  bar.style.width = 'min(480px, calc(100% - 20px))';
+  bar.style.boxSizing = 'border-box';
+  bar.style.padding = '10px 14px';
+  bar.style.backgroundColor = 'rgba(255, 255, 255, 0.95)';
+  bar.style.borderRadius = '8px';
+  bar.style.boxShadow = '0 2px 8px rgba(0, 0, 0, 0.2)';
+  bar.style.fontFamily = 'sans-serif';
+  bar.style.fontSize = '13px';
+  bar.style.display = 'none';
+  bar.style.flexDirection = 'column';
+  bar.style.gap = '6px';
+  document.body.appendChild(bar);
+
+  app.toursPanel = { panel, header, list, bar, collapsed: true };
+  refreshToursPanel(app);
+}
+
+function renderTourList(app, list) {
+  const tours = app.tourManager;
+  if (tours.tours.length === 0) {
+    const empty = document.createElement('span');
+    empty.textContent = 'No tours for this product yet.';
+    empty.style.color = '#999';
+    list.appendChild(empty);
+  }
+  tours.tours.forEach((tour) => {
+    const row = document.createElement('div');
+    row.style.display = 'flex';
+    row.style.alignItems = 'center';
+    row.style.gap = '4px';
+
+    const name = document.createElement('span');
+    name.textContent = `${tour.name} (${tour.steps.length})`;
+    name.style.flex = '1';
+    name.style.overflow = 'hidden';
+    name.style.textOverflow = 'ellipsis';
+    name.style.whiteSpace = 'nowrap';
+
+    row.appendChild(name);
+    row.appendChild(createRowButton('Start', () => tours.goTo(0, tour.id)));
+    row.appendChild(createRowButton('Edit', () => tours.startDraft(tour)));
+    row.appendChild(createRowButton('Remove', () => app.socket.emit('tour-remove', { id: tour.id })));
+    list.appendChild(row);
+  });
+
+  const newButton = createRowButton('+ New tour', async () => {
+    const name = await showPromptModal('New tour', 'Name the tour, then add its steps from the scene.', {
+      placeholder: 'e.g. Sales walkthrough'
+    });
+    if (name) {
+      tours.startDraft();
+      tours.draft.name = name;
+      refreshToursPanel(app);
+    }
+  });
+  newButton.style.textAlign = 'left';
+  list.appendChild(newButton);
+}
+
+// The draft tour: its steps, and a form that adds the current scene as a step.
+function renderDraft(app, list) {
+  const tours = app.tourManager;
+  const { draft } = tours;
+
+  const nameInput = createInput('text', 'Tour name');
+  nameInput.value = draft.name;
+  nameInput.addEventListener('input', () => {
+    draft.name = nameInput.value.trim();
+  });
+  list.appendChild(nameInput);
+
+  draft.steps.forEach((step, index) => {
+    const row = document.createElement('div');
+    row.style.display = 'flex';
+    row.style.alignItems = 'center';
+    row.style.gap = '2px';
+    const title = document.createElement('span');
+    title.textContent = `${index + 1}. ${step.title || 'Untitled step'}${step.duration ? ` (${step.duration}s)` : ''}`;
+    title.style.flex = '1';
+    title.style.overflow = 'hidden';
+    title.style.textOverflow = 'ellipsis';
+    title.style.whiteSpace = 'nowrap';
+    row.appendChild(title);
+    row.appendChild(createRowButton('↑', () => tours.moveDraftStep(index, -1)));
+    row.appendChild(createRowButton('↓', () => tours.moveDraftStep(index, 1)));
+    row.appendChild(createRowButton('Remove', () => tours.removeDraftStep(index)));
+    list.appendChild(row);
+  });
+
+  const titleInput = createInput('text', 'Step title');
+  const textInput = createInput('textarea', 'Caption (optional)');
+  textInput.rows = 2;
+  const durationInput = createInput('number', 'Seconds on screen when playing (0 waits for Next)');
+  durationInput.min = '0';
+  durationInput.max = '600';
+  const addButton = createBarButton('Add current scene as a step', () => {
+    tours.addDraftStep({
+      title: titleInput.value.trim(),
+      text: textInput.value.trim(),
+      duration: Number(durationInput.value) || 0
+    });
+  });
+  list.appendChild(titleInput);
+  list.appendChild(textInput);
+  list.appendChild(durationInput);
+  list.appendChild(addButton);
+
+  const footer = document.createElement('div');
+  footer.style.display = 'flex';
+  footer.style.justifyContent = 'space-between';
+  footer.appendChild(createRowButton('Cancel', () => tours.cancelDraft()));
+  footer.appendChild(createRowButton('Save tour', () => {
+    if (!tours.saveDraft()) {
+      nameInput.focus();
+    }
+  }));
+  list.appendChild(footer);
+}
+
+function renderBar(app, bar) {
+  const tours = app.tourManager;
+  const { current } = tours;
+  bar.style.display = current ? 'flex' : 'none';
+  bar.innerHTML = '';
+  if (!current) return;
+
+  const progress = document.createElement('span');
+  progress.textContent = `${current.name} · Step ${current.index + 1} of ${current.count}`;
+  progress.style.color = '#777';
+  progress.style.fontSize = '11px';
+  bar.appendChild(progress);
+
+  if (current.step.title) {
+    const title = document.createElement('strong');
+    title.textContent = current.step.title;
+    bar.appendChild(title);
+  }
+  if (current.step.text) {
+    const text = document.createElement('span');
+    text.textContent = current.step.text;
+    text.style.whiteSpace = 'pre-wrap';
+    bar.appendChild(text);
+  }
+
+  if (app.isHost) {
+    const controls = document.createElement('div');
+    controls.style.display = 'flex';
+    controls.style.gap = '6px';
+    const previousButton = createBarButton('Previous', () => tours.previous());
+    previousButton.disabled = current.index === 0;
+    const nextButton = createBarButton('Next', () => tours.next());
+    nextButton.disabled = current.index >= current.count - 1;
+    controls.appendChild(previousButton);
+    controls.appendChild(nextButton);
+    controls.appendChild(createBarButton(tours.playing ? 'Pause' : 'Play', () => tours.setPlaying(!tours.playing)));
+    const endButton = createBarButton('End tour', () => app.socket.emit('tour-end'));
+    endButton.style.marginLeft = 'auto';
+    controls.appendChild(endButton);
+    bar.appendChild(controls);
+  }
+}
+
+// Rebuild the panel and the caption bar; call when tours, the step, the draft or the host change.
+export function refreshToursPanel(app) {
+  if (!app.toursPanel) return;
+  const { panel, header, list, bar, collapsed } = app.toursPanel;
+  const tours = app.tourManager;
+  panel.style.display = app.isHost && app.loadedModels.size > 0 ? 'block' : 'none';
+  header.textContent = tours.draft
+    ? `${collapsed ? '▸' : '▾'} Editing tour (${tours.draft.steps.length} steps)`
+    : `${collapsed ? '▸' : '▾'} Tours (${tours.tours.length})`;
+  list.style.display = collapsed ? 'none' : 'flex';
+  list.innerHTML = '';
+  if (tours.draft) {
+    renderDraft(app, list);
+  } else {
+    renderTourList(app, list);
+  }
+  renderBar(app, bar);
+}
@@ -2,7 +2,46 @@
 
 import * as THREE from 'three';
 import { ARButton } from 'three/addons/webxr/ARButton.js';
-import { showViewerRequestModal, showConfirmationModal } from './modalManager.js';
+import { showConfirmationModal, showErrorModal } from './modalManager.js';
+import { setupPartsPanel } from './partsPanel.js';
+
+// File types the upload button accepts: models, .gltf sidecars, zip bundles
+// and an optional .json product manifest.
+export const MODEL_UPLOAD_ACCEPT = '.glb,.gltf,.bin,.png,.jpg,.jpeg,.webp,.ktx2,.zip,.json';
+
+// Split a file selection into upload requests: each .glb or .zip on its own,
+// and each .gltf together with the .bin and texture files picked alongside it.
+// Sidecars picked without any .gltf are returned as strays, and a picked
+// .json is returned as the product manifest.
+export function groupUploadFiles(files) {
+  const hasExtension = (file, extensions) =>
+    extensions.some((extension) => file.name.toLowerCase().endsWith(extension));
+  const selected = Array.from(files);
+  const manifestFile = selected.find((file) => hasExtension(file, ['.json'])) || null;
+  const sidecars = selected.filter((file) => !hasExtension(file, ['.glb', '.gltf', '.zip', '.json']));
+  const groups = [];
+  selected.forEach((file) => {
+    if (hasExtension(file, ['.glb', '.zip'])) {
+      groups.push([file]);
+    } else if (hasExtension(file, ['.gltf'])) {
+      groups.push([file, ...sidecars]);
+    }
+  });
+  const hasGltf = selected.some((file) => hasExtension(file, ['.gltf']));
+  return { groups, strays: hasGltf ? [] : sidecars, manifestFile };
+}
+
+// Parse a product manifest picked for upload; reports and skips unreadable ones.
+export async function readManifestFile(file) {
+  if (!file) return null;
+  try {
+    return JSON.parse(await file.text());
+  } catch (error) {
+    console.error("Could not read product manifest:", error);
+    showErrorModal(`${file.name} is not a valid product manifest and was ignored.`);
+    return null;
+  }
+}
 
 // Create the UI controls and attach them to the app.
 export function setupUIControls(app) {
@@ -83,22 +122,12 @@ export function setupUIControls(app) {
     if (app.isHost) {
       app.socket.emit('give-up-host');
     } else {
-      if (!app.currentHostId) {
-        console.log("No active host; becoming host immediately.");
-        app.currentHostId = app.socket.id;
-        app.isHost = true;
-        updateToggleUI(app, viewerButton, hostButton, app.isHost);
-        showConfirmationModal("You're now the host.");
-        app.socket.emit('register-host');
+      // Becomes host straight away when nobody is hosting, otherwise asks the
+      // host; the server confirms with host-changed once the claim is accepted.
+      if (app.hostRequestPending) {
+        console.log("Host request is already pending.");
       } else {
-        if (!app.hostRequestPending) {
-          app.hostRequestPending = true;
-          app.socket.emit('request-host');
-          showViewerRequestModal(app, 30);
-          console.log("Host request modal shown.");
-        } else {
-          console.log("Host request is already pending.");
-        }
+        app.claimHost();
       }
     }
   });
@@ -130,53 +159,40 @@ export function setupUIControls(app) {
   
   const fileInput = document.createElement('input');
   fileInput.type = 'file';
-  fileInput.accept = '.glb,.gltf';
+  fileInput.id = 'model-upload-input';
+  fileInput.accept = MODEL_UPLOAD_ACCEPT;
   fileInput.style.display = 'none';
   fileInput.multiple = true;
-  fileInput.onchange = async (event) => {
-    // Clear out any existing models.
-    app.clearExistingModels();
-    const files = event.target.files;
-    for (let file of files) {
-      const formData = new FormData();
-      formData.append('model', file);
-      try {
-        const response = await fetch('/upload', {
-          method: 'POST',
-          headers: {
-            'x-socket-id': app.socket.id,
-            'x-uploader-role': app.isHost ? 'host' : 'viewer'
-          },
-          body: formData
-        });
-        if (response.ok) {
-          const data = await response.json();
-          // For hosts, skip local load and wait for the aggregated broadcast.
-          if (!app.isHost) {
-            const name = data.name.replace('.glb', '').replace('.gltf', '');
-            app.loadModel(data.url, name);
-          }
-        } else {
-          console.error("Upload failed:", response.statusText);
-        }
-      } catch (error) {
-        console.error("File upload error:", error);
-      }
-    }
-    if (app.isHost) {
-      if (app._productUploadCompleteTimeout) {
-        clearTimeout(app._productUploadCompleteTimeout);
-      }
-      app._productUploadCompleteTimeout = setTimeout(() => {
-        app.socket.emit('product-upload-complete');
-        app._productUploadCompleteTimeout = null;
-      }, 500);
-    }
-  };
+  // The selected files are uploaded by the onchange handler set up in app.js.
   
   uploadButton.onclick = () => fileInput.click();
   
   controlsContainer.appendChild(uploadButton);
+
+  // ------------------------------
+  // Create the Products button (host only): switch the room to a catalog product.
+  // ------------------------------
+  const productsButton = document.createElement('button');
+  productsButton.textContent = 'Products';
+  productsButton.style.padding = '8px 24px';
+  productsButton.style.border = 'none';
+  productsButton.style.outline = 'none';
+  productsButton.style.borderRadius = '9999px';
+  productsButton.style.backgroundColor = '#d00024';
+  productsButton.style.color = 'white';
+  productsButton.style.cursor = 'pointer';
+  productsButton.style.transition = 'background-color 0.3s ease, color 0.3s ease';
+  productsButton.style.display = app.isHost ? 'inline-block' : 'none';
+
+  productsButton.addEventListener('mouseover', () => {
+    productsButton.style.backgroundColor = '#b0001d';
+  });
+  productsButton.addEventListener('mouseout', () => {
+    productsButton.style.backgroundColor = '#d00024';
+  });
+  productsButton.onclick = () => app.showLandingOverlay({ dismissible: true });
+
+  controlsContainer.appendChild(productsButton);
   
   // ------------------------------
   // Create a Reset button.
@@ -200,19 +216,11 @@ export function setupUIControls(app) {
   });
   
   resetButton.onclick = () => {
-    // Reset the transformation (position, rotation, and scale) of all parts.
-    if (app.productGroup) {
-      app.productGroup.children.forEach((child) => {
-        child.position.set(0, 0, 0);
-        child.rotation.set(0, 0, 0);
-        // Reset to the stored original scale or default to (1, 1, 1)
-        if (child.children.length > 0 && child.children[0].userData.originalScale) {
-          child.scale.copy(child.children[0].userData.originalScale);
-        } else {
-          child.scale.set(1, 1, 1);
-        }
-      });
-    }
+    // Reset the transformation (position, rotation, and scale) of all parts
+    // to the defaults from the product manifest. The reset can be undone.
+    const before = app.historyManager.captureScene();
+    app.resetPartTransforms();
+    app.historyManager.recordReset(before);
     // Reset the camera/viewport to its initial state.
     if (typeof app.fitCameraToScene === 'function') {
       app.fitCameraToScene();
@@ -225,6 +233,36 @@ export function setupUIControls(app) {
   
   controlsContainer.appendChild(resetButton);
   controlsContainer.appendChild(fileInput);
+
+  // ------------------------------
+  // Create the Undo and Redo buttons for part moves, show/hide and resets.
+  // ------------------------------
+  const createHistoryButton = (label, title, onClick) => {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.title = title;
+    button.style.padding = '8px 16px';
+    button.style.border = 'none';
+    button.style.outline = 'none';
+    button.style.borderRadius = '9999px';
+    button.style.backgroundColor = '#d00024';
+    button.style.color = 'white';
+    button.style.cursor = 'pointer';
+    button.style.transition = 'background-color 0.3s ease, opacity 0.3s ease';
+    button.addEventListener('mouseover', () => {
+      if (!button.disabled) button.style.backgroundColor = '#b0001d';
+    });
+    button.addEventListener('mouseout', () => {
+      button.style.backgroundColor = '#d00024';
+    });
+    button.addEventListener('click', onClick);
+    return button;
+  };
+  const undoButton = createHistoryButton('↶ Undo', 'Undo (Ctrl+Z)', () => app.historyManager.undo());
+  const redoButton = createHistoryButton('↷ Redo', 'Redo (Ctrl+Shift+Z)', () => app.historyManager.redo());
+
+  controlsContainer.appendChild(undoButton);
+  controlsContainer.appendChild(redoButton);
   
   // ------------------------------
   // Create an extra pointer toggle button.
@@ -308,6 +346,229 @@ export function setupUIControls(app) {
   
   controlsContainer.appendChild(pointerToggleButton);
 
+  // ------------------------------
+  // Create the cursor buttons: share your own cursor (viewers; the host has
+  // the pointer) and show or hide everyone else's.
+  // ------------------------------
+  const cursorButton = document.createElement('button');
+  cursorButton.textContent = 'My cursor';
+  cursorButton.style.padding = '8px 24px';
+  cursorButton.style.border = 'none';
+  cursorButton.style.outline = 'none';
+  cursorButton.style.borderRadius = '9999px';
+  cursorButton.style.backgroundColor = '#d00024';
+  cursorButton.style.color = 'white';
+  cursorButton.style.cursor = 'pointer';
+  cursorButton.style.transition = 'background-color 0.3s ease, color 0.3s ease';
+  cursorButton.style.display = app.isHost ? 'none' : 'inline-block';
+  cursorButton.addEventListener('click', () => {
+    app.presenceManager.setEnabled(!app.presenceManager.enabled);
+    updateCursorUI(app);
+  });
+
+  const othersCursorsButton = document.createElement('button');
+  othersCursorsButton.title = "Show or hide other participants' cursors";
+  othersCursorsButton.style.padding = '8px 16px';
+  othersCursorsButton.style.border = '1px solid #d00024';
+  othersCursorsButton.style.outline = 'none';
+  othersCursorsButton.style.borderRadius = '9999px';
+  othersCursorsButton.style.backgroundColor = 'white';
+  othersCursorsButton.style.color = '#d00024';
+  othersCursorsButton.style.cursor = 'pointer';
+  othersCursorsButton.addEventListener('click', () => {
+    app.presenceManager.setShowOthers(!app.presenceManager.showOthers);
+    updateCursorUI(app);
+  });
+
+  controlsContainer.appendChild(cursorButton);
+  controlsContainer.appendChild(othersCursorsButton);
+
+  // ------------------------------
+  // Create the follow controls (viewers): stay with the host's camera and part
+  // layout, or explore on your own and jump back to the host later.
+  // ------------------------------
+  const followButton = document.createElement('button');
+  followButton.title = "Follow the host's camera and part layout";
+  followButton.style.padding = '8px 16px';
+  followButton.style.border = '1px solid #d00024';
+  followButton.style.outline = 'none';
+  followButton.style.borderRadius = '9999px';
+  followButton.style.backgroundColor = 'white';
+  followButton.style.color = '#d00024';
+  followButton.style.cursor = 'pointer';
+  followButton.addEventListener('click', () => {
+    app.setFollowHost(!app.followHost);
+  });
+
+  const jumpButton = document.createElement('button');
+  jumpButton.textContent = 'Jump back to host';
+  jumpButton.style.padding = '8px 24px';
+  jumpButton.style.border = 'none';
+  jumpButton.style.outline = 'none';
+  jumpButton.style.borderRadius = '9999px';
+  jumpButton.style.backgroundColor = '#d00024';
+  jumpButton.style.color = 'white';
+  jumpButton.style.cursor = 'pointer';
+  jumpButton.style.transition = 'background-color 0.3s ease, color 0.3s ease';
+  jumpButton.addEventListener('mouseover', () => {
+    jumpButton.style.backgroundColor = '#b0001d';
+  });
+  jumpButton.addEventListener('mouseout', () => {
+    jumpButton.style.backgroundColor = '#d00024';
+  });
+  jumpButton.addEventListener('click', () => {
+    app.setFollowHost(true);
+  });
+
+  controlsContainer.appendChild(followButton);
+  controlsContainer.appendChild(jumpButton);
+
+  // ------------------------------
+  // Create the Explode/Assemble control (host only) with its explode factor slider.
+  // ------------------------------
+  const explodeControls = document.createElement('div');
+  explodeControls.style.display = app.isHost ? 'inline-flex' : 'none';
+  explodeControls.style.alignItems = 'center';
+  explodeControls.style.gap = '6px';
+
+  const explodeButton = document.createElement('button');
+  explodeButton.textContent = 'Explode';
+  explodeButton.style.padding = '8px 24px';
+  explodeButton.style.border = 'none';
+  explodeButton.style.outline = 'none';
+  explodeButton.style.borderRadius = '9999px';
+  explodeButton.style.backgroundColor = '#d00024';
+  explodeButton.style.color = 'white';
+  explodeButton.style.cursor = 'pointer';
+  explodeButton.style.transition = 'background-color 0.3s ease, color 0.3s ease';
+
+  explodeButton.addEventListener('mouseover', () => {
+    explodeButton.style.backgroundColor = '#b0001d';
+  });
+  explodeButton.addEventListener('mouseout', () => {
+    explodeButton.style.backgroundColor = '#d00024';
+  });
+
+  const explodeSlider = document.createElement('input');
+  explodeSlider.type = 'range';
+  explodeSlider.min = '0.25';
+  explodeSlider.max = '2';
+  explodeSlider.step = '0.05';
+  explodeSlider.value = '1';
+  explodeSlider.title = 'Explode distance';
+  explodeSlider.style.width = '90px';
+  explodeSlider.style.accentColor = '#d00024';
+
+  explodeButton.addEventListener('click', () => {
+    const exploded = app.explodeManager.target > 0;
+    app.explode(exploded ? 0 : Number(explodeSlider.value));
+  });
+  // While exploded, dragging the slider spreads the parts further apart or closer together.
+  explodeSlider.addEventListener('input', () => {
+    if (app.explodeManager.target > 0) {
+      app.explode(Number(explodeSlider.value), 150);
+    }
+  });
+
+  explodeControls.appendChild(explodeButton);
+  explodeControls.appendChild(explodeSlider);
+  controlsContainer.appendChild(explodeControls);
+
+  // ------------------------------
+  // Create the Annotate button (host only): click a part to pin a note to it.
+  // ------------------------------
+  const annotateButton = document.createElement('button');
+  annotateButton.textContent = 'Annotate';
+  annotateButton.style.padding = '8px 24px';
+  annotateButton.style.border = 'none';
+  annotateButton.style.outline = 'none';
+  annotateButton.style.borderRadius = '9999px';
+  annotateButton.style.backgroundColor = '#d00024';
+  annotateButton.style.color = 'white';
+  annotateButton.style.cursor = 'pointer';
+  annotateButton.style.transition = 'background-color 0.3s ease, color 0.3s ease';
+  annotateButton.style.display = app.isHost ? 'inline-block' : 'none';
+  annotateButton.addEventListener('click', () => {
+    app.setActiveTool(app.activeTool === 'annotate' ? null : 'annotate');
+  });
+
+  controlsContainer.appendChild(annotateButton);
+
+  // ------------------------------
+  // Create the Section button (host only): cut the product open with clipping planes.
+  // ------------------------------
+  const sectionButton = document.createElement('button');
+  sectionButton.textContent = 'Section';
+  sectionButton.style.padding = '8px 24px';
+  sectionButton.style.border = 'none';
+  sectionButton.style.outline = 'none';
+  sectionButton.style.borderRadius = '9999px';
+  sectionButton.style.backgroundColor = '#d00024';
+  sectionButton.style.color = 'white';
+  sectionButton.style.cursor = 'pointer';
+  sectionButton.style.transition = 'background-color 0.3s ease, color 0.3s ease';
+  sectionButton.style.display = app.isHost ? 'inline-block' : 'none';
+  sectionButton.addEventListener('click', () => {
+    app.setActiveTool(app.activeTool === 'section' ? null : 'section');
+  });
+
+  controlsContainer.appendChild(sectionButton);
+
+  // ------------------------------
+  // Create the Measure button and its mm/in unit toggle.
+  // ------------------------------
+  const measureButton = document.createElement('button');
+  measureButton.textContent = 'Measure';
+  measureButton.title = 'Click points on the product; Enter or Esc ends a chain';
+  measureButton.style.padding = '8px 24px';
+  measureButton.style.border = 'none';
+  measureButton.style.outline = 'none';
+  measureButton.style.borderRadius = '9999px';
+  measureButton.style.backgroundColor = '#d00024';
+  measureButton.style.color = 'white';
+  measureButton.style.cursor = 'pointer';
+  measureButton.style.transition = 'background-color 0.3s ease, color 0.3s ease';
+  measureButton.addEventListener('click', () => {
+    app.setActiveTool(app.activeTool === 'measure' ? null : 'measure');
+  });
+
+  const unitButton = document.createElement('button');
+  unitButton.textContent = app.measurementManager.unit;
+  unitButton.title = 'Measurement units';
+  unitButton.style.padding = '8px 12px';
+  unitButton.style.border = '1px solid #d00024';
+  unitButton.style.outline = 'none';
+  unitButton.style.borderRadius = '9999px';
+  unitButton.style.backgroundColor = 'white';
+  unitButton.style.color = '#d00024';
+  unitButton.style.cursor = 'pointer';
+  unitButton.addEventListener('click', () => {
+    app.measurementManager.setUnit(app.measurementManager.unit === 'mm' ? 'in' : 'mm');
+    unitButton.textContent = app.measurementManager.unit;
+  });
+
+  controlsContainer.appendChild(measureButton);
+  controlsContainer.appendChild(unitButton);
+
+  // ------------------------------
+  // Create the variant picker; hidden until the product offers variants.
+  // ------------------------------
+  const variantSelect = document.createElement('select');
+  variantSelect.title = 'Material variant';
+  variantSelect.style.padding = '8px 16px';
+  variantSelect.style.border = '1px solid #d00024';
+  variantSelect.style.outline = 'none';
+  variantSelect.style.borderRadius = '9999px';
+  variantSelect.style.backgroundColor = 'white';
+  variantSelect.style.color = '#d00024';
+  variantSelect.style.cursor = 'pointer';
+  variantSelect.style.display = 'none';
+  variantSelect.addEventListener('change', () => {
+    app.selectVariant(variantSelect.value || null);
+  });
+
+  controlsContainer.appendChild(variantSelect);
+
   // ------------------------------
   // Optional: AR Button (if supported).
   // ------------------------------
@@ -340,10 +601,167 @@ export function setupUIControls(app) {
     });
   }
   
+  // ------------------------------
+  // Create the Record button (host only): record the session for playback later.
+  // While a recording runs, viewers see it on the room badge.
+  // ------------------------------
+  const recordButton = document.createElement('button');
+  recordButton.style.padding = '8px 24px';
+  recordButton.style.border = 'none';
+  recordButton.style.outline = 'none';
+  recordButton.style.borderRadius = '9999px';
+  recordButton.style.cursor = 'pointer';
+  recordButton.style.transition = 'background-color 0.3s ease, color 0.3s ease';
+  recordButton.addEventListener('click', () => {
+    app.socket.emit(app.recording.active ? 'recording-stop' : 'recording-start');
+  });
+
+  controlsContainer.appendChild(recordButton);
+
+  // ------------------------------
+  // Room badge: shows the join code and copies an invite link on click.
+  // ------------------------------
+  const roomBadge = document.createElement('button');
+  roomBadge.textContent = `Room: ${app.roomId}`;
+  roomBadge.title = 'Copy invite link';
+  roomBadge.style.padding = '8px 16px';
+  roomBadge.style.border = '1px solid #d00024';
+  roomBadge.style.outline = 'none';
+  roomBadge.style.borderRadius = '9999px';
+  roomBadge.style.backgroundColor = 'white';
+  roomBadge.style.color = '#d00024';
+  roomBadge.style.cursor = 'pointer';
+
+  roomBadge.addEventListener('click', async () => {
+    // Invite links never carry the role, so guests always join as viewers.
+    const inviteUrl = new URL(window.location.href);
+    inviteUrl.search = '';
+    inviteUrl.searchParams.set('room', app.roomId);
+    try {
+      await navigator.clipboard.writeText(inviteUrl.toString());
+      showConfirmationModal(`Invite link copied: ${inviteUrl}`);
+    } catch (error) {
+      console.error("Could not copy invite link:", error);
+      showConfirmationModal(`Share this link to join: ${inviteUrl}`);
+    }
+  });
+
+  controlsContainer.appendChild(roomBadge);
+
   document.body.appendChild(controlsContainer);
+
+  // The parts list sits just below the controls.
+  setupPartsPanel(app);
   
   // Save references to the buttons.
-  app.toggleUI = { viewerButton, hostButton, pointerToggleButton };
+  app.toggleUI = {
+    viewerButton,
+    hostButton,
+    pointerToggleButton,
+    productsButton,
+    explodeControls,
+    explodeButton,
+    explodeSlider,
+    variantSelect,
+    toolButtons: { annotate: annotateButton, section: sectionButton, measure: measureButton },
+    cursorButton,
+    othersCursorsButton,
+    followButton,
+    jumpButton,
+    recordButton,
+    undoButton,
+    redoButton,
+    roomBadge
+  };
+  updateCursorUI(app);
+  updateFollowUI(app);
+  updateRecordingUI(app);
+  updateHistoryUI(app);
+
+  // A recording plays back on its own, so only the viewing controls stay.
+  if (app.playbackManager) {
+    [toggleContainer, uploadButton, resetButton, undoButton, redoButton, cursorButton, othersCursorsButton, roomBadge].forEach((element) => {
+      element.style.display = 'none';
+    });
+  }
+}
+
+// Undo/Redo are for whoever edits the scene: the host and presenters.
+export function updateHistoryUI(app) {
+  if (!app.toggleUI || !app.toggleUI.undoButton) return;
+  const { undoButton, redoButton } = app.toggleUI;
+  undoButton.disabled = !app.historyManager.canUndo();
+  redoButton.disabled = !app.historyManager.canRedo();
+  [undoButton, redoButton].forEach((button) => {
+    button.style.display = app.canMoveParts() && !app.playbackManager ? 'inline-block' : 'none';
+    button.style.opacity = button.disabled ? '0.5' : '1';
+    button.style.cursor = button.disabled ? 'default' : 'pointer';
+  });
+}
+
+export function updateRecordingUI(app) {
+  if (!app.toggleUI || !app.toggleUI.recordButton) return;
+  const { recordButton, roomBadge } = app.toggleUI;
+  const { active } = app.recording;
+  recordButton.textContent = active ? '● Stop recording' : 'Record';
+  recordButton.style.backgroundColor = active ? '#ffffff' : '#d00024';
+  recordButton.style.color = active ? '#d00024' : '#ffffff';
+  recordButton.style.display = app.isHost ? 'inline-block' : 'none';
+  roomBadge.textContent = `Room: ${app.roomId}${active ? ' · ● Recording' : ''}`;
+}
+
+export function updateCursorUI(app) {
+  if (!app.toggleUI || !app.toggleUI.cursorButton) return;
+  const { cursorButton, othersCursorsButton } = app.toggleUI;
+  const sharing = app.presenceManager.enabled;
+  cursorButton.style.backgroundColor = sharing ? '#ffffff' : '#d00024';
+  cursorButton.style.color = sharing ? '#d00024' : '#ffffff';
+  othersCursorsButton.textContent = `Cursors: ${app.presenceManager.showOthers ? 'On' : 'Off'}`;
+}
+
+// Follow controls are for viewers; "Jump back" only shows while exploring alone.
+export function updateFollowUI(app) {
+  if (!app.toggleUI || !app.toggleUI.followButton) return;
+  const { followButton, jumpButton } = app.toggleUI;
+  followButton.textContent = `Follow host: ${app.followHost ? 'On' : 'Off'}`;
+  followButton.style.display = app.isHost ? 'none' : 'inline-block';
+  jumpButton.style.display = app.isHost || app.followHost ? 'none' : 'inline-block';
+}
+
+// Highlight the button of the active scene tool, like the active pointer button.
+export function updateToolUI(app) {
+  if (!app.toggleUI || !app.toggleUI.toolButtons) return;
+  Object.entries(app.toggleUI.toolButtons).forEach(([tool, button]) => {
+    const active = app.activeTool === tool;
+    button.style.backgroundColor = active ? '#ffffff' : '#d00024';
+    button.style.color = active ? '#d00024' : '#ffffff';
+  });
+}
+
+// List the variants of the product on screen and show which one is active.
+export function refreshVariantPicker(app) {
+  if (!app.toggleUI || !app.toggleUI.variantSelect) return;
+  const select = app.toggleUI.variantSelect;
+  const names = app.variantManager.getVariantNames();
+  select.innerHTML = '';
+  ['', ...names].forEach((name) => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name || 'Original';
+    select.appendChild(option);
+  });
+  select.value = app.variantManager.active && names.includes(app.variantManager.active) ? app.variantManager.active : '';
+  select.style.display = names.length > 0 ? 'inline-block' : 'none';
+}
+
+// Keep the Explode/Assemble control in line with the explode factor, wherever it was changed.
+export function updateExplodeUI(app) {
+  if (!app.toggleUI || !app.toggleUI.explodeButton) return;
+  const target = app.explodeManager.target;
+  app.toggleUI.explodeButton.textContent = target > 0 ? 'Assemble' : 'Explode';
+  if (target > 0) {
+    app.toggleUI.explodeSlider.value = String(target);
+  }
 }
 
 export function updateToggleUI(app, viewerButton, hostButton, isHost) {
@@ -355,6 +773,20 @@ export function updateToggleUI(app, viewerButton, hostButton, isHost) {
     if (app.toggleUI && app.toggleUI.pointerToggleButton) {
       app.toggleUI.pointerToggleButton.style.display = 'inline-block';
     }
+    if (app.toggleUI && app.toggleUI.cursorButton) {
+      app.toggleUI.cursorButton.style.display = 'none';
+    }
+    if (app.toggleUI && app.toggleUI.productsButton) {
+      app.toggleUI.productsButton.style.display = 'inline-block';
+    }
+    if (app.toggleUI && app.toggleUI.explodeControls) {
+      app.toggleUI.explodeControls.style.display = 'inline-flex';
+      updateExplodeUI(app);
+    }
+    if (app.toggleUI && app.toggleUI.toolButtons) {
+      app.toggleUI.toolButtons.annotate.style.display = 'inline-block';
+      app.toggleUI.toolButtons.section.style.display = 'inline-block';
+    }
   } else {
     viewerButton.style.backgroundColor = 'white';
     viewerButton.style.color = '#d00024';
@@ -363,5 +795,21 @@ export function updateToggleUI(app, viewerButton, hostButton, isHost) {
     if (app.toggleUI && app.toggleUI.pointerToggleButton) {
       app.toggleUI.pointerToggleButton.style.display = 'none';
     }
+    if (app.toggleUI && app.toggleUI.cursorButton) {
+      app.toggleUI.cursorButton.style.display = 'inline-block';
+    }
+    if (app.toggleUI && app.toggleUI.productsButton) {
+      app.toggleUI.productsButton.style.display = 'none';
+    }
+    if (app.toggleUI && app.toggleUI.explodeControls) {
+      app.toggleUI.explodeControls.style.display = 'none';
+    }
+    if (app.toggleUI && app.toggleUI.toolButtons) {
+      app.toggleUI.toolButtons.annotate.style.display = 'none';
+      app.toggleUI.toolButtons.section.style.display = 'none';
+    }
   }
+  updateFollowUI(app);
+  updateRecordingUI(app);
+  updateHistoryUI(app);
 }
\ No newline at end of file
@@ -0,0 +1,118 @@
+// viewsPanel.js
+
+// A collapsible list of the product's saved viewpoints. Clicking one flies
+// there: the host takes the room along, a viewer looks on their own (and
+// stops following the host). The host can also save the current camera under
+// a name, or remove views.
+
+import { showPromptModal } from './modalManager.js';
+
+function createRowButton(text, onClick) {
+  const button = document.createElement('button');
+  button.textContent = text;
+  button.style.border = 'none';
+  button.style.background = 'none';
+  button.style.color = '#d00024';
+  button.style.cursor = 'pointer';
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+export function setupViewsPanel(app) {
+  const panel = document.createElement('div');
+  panel.id = 'views-panel';
+  panel.style.position = 'fixed';
+  panel.style.bottom = '10px';
+  panel.style.left = '10px';
+  panel.style.zIndex = '1000';
+  panel.style.width = '220px';
+  panel.style.backgroundColor = 'rgba(255, 255, 255, 0.95)';
+  panel.style.borderRadius = '8px';
+  panel.style.boxShadow = '0 2px 8px rgba(0, 0, 0, 0.2)';
+  panel.style.fontFamily = 'sans-serif';
+  panel.style.fontSize = '13px';
+  panel.style.display = 'none';
+
+  const header = document.createElement('button');
+  header.style.width = '100%';
+  header.style.padding = '8px 12px';
+  header.style.border = 'none';
+  header.style.outline = 'none';
+  header.style.borderRadius = '8px';
+  header.style.backgroundColor = '#d00024';
+  header.style.color = 'white';
+  header.style.textAlign = 'left';
+  header.style.cursor = 'pointer';
+
+  const list = document.createElement('div');
+  list.style.flexDirection = 'column';
+  list.style.gap = '4px';
+  list.style.padding = '8px 12px';
+  list.style.maxHeight = '40vh';
+  list.style.overflowY = 'auto';
+
+  header.addEventListener('click', () => {
+    app.viewsPanel.collapsed = !app.viewsPanel.collapsed;
+    refreshViewsPanel(app);
+  });
+
+  panel.appendChild(header);
+  panel.appendChild(list);
+  document.body.appendChild(panel);
+
+  app.viewsPanel = { panel, header, list, collapsed: true };
+  refreshViewsPanel(app);
+}
+
+// Rebuild the list from the viewpoint manager; call when the views or the host change.
+export function refreshViewsPanel(app) {
+  if (!app.viewsPanel) return;
+  const { panel, header, list, collapsed } = app.viewsPanel;
+  const { views } = app.viewpointManager;
+  panel.style.display = app.loadedModels.size > 0 ? 'block' : 'none';
+  header.textContent = `${collapsed ? '▸' : '▾'} Views (${views.length})`;
+  list.style.display = collapsed ? 'none' : 'flex';
+  list.innerHTML = '';
+
+  if (views.length === 0) {
+    const empty = document.createElement('span');
+    empty.textContent = app.isHost ? 'No views yet. Save the current camera below.' : 'No views saved for this product.';
+    empty.style.color = '#999';
+    list.appendChild(empty);
+  }
+
+  views.forEach((view) => {
+    const row = document.createElement('div');
+    row.style.display = 'flex';
+    row.style.alignItems = 'center';
+    row.style.gap = '4px';
+
+    const recallButton = createRowButton(view.name, () => app.recallView(view.id));
+    recallButton.style.flex = '1';
+    recallButton.style.textAlign = 'left';
+    recallButton.style.overflow = 'hidden';
+    recallButton.style.textOverflow = 'ellipsis';
+    recallButton.style.whiteSpace = 'nowrap';
+    recallButton.title = `Fly to ${view.name}`;
+    row.appendChild(recallButton);
+
+    if (app.isHost) {
+      row.appendChild(createRowButton('Remove', () => app.socket.emit('view-remove', { id: view.id })));
+    }
+    list.appendChild(row);
+  });
+
+  if (app.isHost) {
+    const saveButton = createRowButton('+ Save current view', async () => {
+      const name = await showPromptModal('Save view', 'Name this viewpoint. Saving under an existing name replaces it.', {
+        placeholder: 'e.g. Underside of the handguard'
+      });
+      if (name) {
+        app.saveView(name);
+      }
+    });
+    saveButton.style.textAlign = 'left';
+    saveButton.style.padding = '4px 0 0';
+    list.appendChild(saveButton);
+  }
+}
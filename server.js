@@ -8,8 +8,10 @@ const http = require('http');
 const { Server } = require('socket.io');
 const { v4: uuidv4 } = require('uuid');
 const multer = require('multer');
+const AdmZip = require('adm-zip');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
 const app = express();
 const server = http.createServer(app);
@@ -21,206 +23,2199 @@ if (!fs.existsSync(uploadDir)) {
   fs.mkdirSync(uploadDir);
 }
 
+// Persistent storage for session state, so a restart can pick up where it left off.
+const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+const sessionsDir = path.join(dataDir, 'sessions');
+fs.mkdirSync(sessionsDir, { recursive: true });
+
 // Serve static files from 'public' folder.
 app.use(express.static('public'));
 
 // Serve files from the uploads folder.
 app.use('/uploads', express.static(uploadDir));
 
-// Configure Multer for file uploads, keeping the original filename.
+// Upload limits; MAX_UPLOAD_MB can be raised for large assemblies.
+const MAX_UPLOAD_MB = Number(process.env.MAX_UPLOAD_MB) || 50;
+// Zip bundles are checked against their extracted size as well.
+const MAX_EXTRACTED_MB = Number(process.env.MAX_EXTRACTED_MB) || 200;
+const MAX_BUNDLE_FILES = 64;
+const MODEL_EXTENSIONS = ['.glb', '.gltf'];
+// Files a .gltf may reference alongside it.
+const SIDECAR_EXTENSIONS = ['.bin', '.png', '.jpg', '.jpeg', '.webp', '.ktx2'];
+
+// Uploads are staged here and only moved into uploads/ once they validate.
+// Leftovers from an interrupted upload are cleared on boot.
+const stagingDir = path.join(uploadDir, '.staging');
+fs.rmSync(stagingDir, { recursive: true, force: true });
+fs.mkdirSync(stagingDir, { recursive: true });
+
+// Errors raised while accepting an upload, reported to the client as JSON.
+class UploadError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+  }
+}
+
+// Reduce a client-supplied filename to a safe basename.
+function sanitizeFileName(fileName) {
+  const base = path.basename(String(fileName || '')).replace(/[^\w.-]+/g, '_').replace(/^\.+/, '');
+  return base.slice(-100) || 'model';
+}
+
+// Normalise a path inside a bundle, or return null if it would escape the bundle.
+// Names are kept as-is otherwise, since the .gltf refers to them verbatim.
+function safeBundlePath(relativePath) {
+  const normalized = path.posix.normalize(String(relativePath || '').replace(/\\/g, '/'));
+  if (!normalized || normalized === '.' || normalized.startsWith('/') ||
+      normalized.split('/').some((segment) => segment === '..' || segment === '')) {
+    return null;
+  }
+  return normalized;
+}
+
+// The friendly part name shown in the viewer, e.g. "kool-mandoline-frame".
+function displayNameFromFile(fileName) {
+  return path.basename(String(fileName || ''), path.extname(String(fileName || ''))) || 'part';
+}
+
+function fileExtension(fileName) {
+  return path.extname(String(fileName || '')).toLowerCase();
+}
+
+// Configure Multer for file uploads. Files land in the staging folder under
+// random names; storeUpload() gives them their final, collision-safe home.
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    cb(null, uploadDir);
+    cb(null, stagingDir);
   },
   filename: function (req, file, cb) {
-    cb(null, file.originalname);
+    cb(null, uuidv4());
   }
 });
-const upload = multer({ storage: storage });
+const upload = multer({
+  storage: storage,
+  limits: { fileSize: Math.round(MAX_UPLOAD_MB * 1024 * 1024), files: MAX_BUNDLE_FILES },
+  fileFilter: function (req, file, cb) {
+    const ext = fileExtension(file.originalname);
+    if (!MODEL_EXTENSIONS.includes(ext) && !SIDECAR_EXTENSIONS.includes(ext) && ext !== '.zip') {
+      return cb(new UploadError(`Unsupported file type "${ext || file.originalname}"; upload .glb, .gltf (with its .bin and textures) or .zip files.`, 415));
+    }
+    cb(null, true);
+  }
+});
+
+// glTF files must declare a 2.x asset version.
+function checkGltfJson(json) {
+  if (!json || typeof json !== 'object' || !json.asset || !/^2\./.test(String(json.asset.version))) {
+    throw new UploadError('File is not a glTF 2.0 model (missing or unsupported asset.version).', 422);
+  }
+}
+
+// Check magic bytes and the JSON header so only real glTF/GLB files are kept.
+// Returns the parsed glTF JSON.
+function validateModelFile(filePath, originalName) {
+  const buffer = fs.readFileSync(filePath);
+  const ext = fileExtension(originalName);
 
-// Global state for host management and pending requests.
-let hostSocketId = null;
-let pendingRequests = {}; // { requestId: { timeout: TimeoutObject, requester: socketId } }
+  if (ext === '.gltf') {
+    let json;
+    try {
+      json = JSON.parse(buffer.toString('utf8'));
+    } catch (error) {
+      throw new UploadError('File is not valid glTF JSON.', 422);
+    }
+    checkGltfJson(json);
+    return json;
+  }
+
+  // GLB: 12-byte header ("glTF", version, length) followed by a JSON chunk.
+  if (buffer.length < 20 || buffer.toString('ascii', 0, 4) !== 'glTF') {
+    throw new UploadError('File is not a GLB model (bad magic bytes).', 422);
+  }
+  if (buffer.readUInt32LE(4) !== 2) {
+    throw new UploadError(`Unsupported GLB version ${buffer.readUInt32LE(4)}; only glTF 2.0 is supported.`, 422);
+  }
+  if (buffer.readUInt32LE(8) !== buffer.length) {
+    throw new UploadError('GLB file is truncated or has a corrupt header.', 422);
+  }
+  const jsonLength = buffer.readUInt32LE(12);
+  if (buffer.toString('ascii', 16, 20) !== 'JSON' || 20 + jsonLength > buffer.length) {
+    throw new UploadError('GLB file is missing its JSON chunk.', 422);
+  }
+  let json;
+  try {
+    json = JSON.parse(buffer.toString('utf8', 20, 20 + jsonLength));
+  } catch (error) {
+    throw new UploadError('GLB file has an unreadable JSON chunk.', 422);
+  }
+  checkGltfJson(json);
+  return json;
+}
+
+// Make sure every external buffer and image a model refers to is in its bundle folder.
+function checkModelResources(bundleDir, entryPath, json) {
+  const resources = [...(json.buffers || []), ...(json.images || [])]
+    .map((resource) => resource.uri)
+    .filter((uri) => uri && !uri.startsWith('data:'));
+  const missing = resources.filter((uri) => {
+    let relativePath;
+    try {
+      relativePath = safeBundlePath(path.posix.join(path.posix.dirname(entryPath), decodeURIComponent(uri)));
+    } catch (error) {
+      relativePath = null;
+    }
+    return !relativePath || !fs.existsSync(path.join(bundleDir, relativePath));
+  });
+  if (missing.length > 0) {
+    throw new UploadError(`Model references files that were not uploaded: ${missing.join(', ')}`, 422);
+  }
+}
+
+// Unpack a zip into its bundle folder and return the path of the model inside it.
+function extractZipBundle(zipPath, bundleDir) {
+  let entries;
+  try {
+    entries = new AdmZip(zipPath).getEntries().filter((entry) => !entry.isDirectory);
+  } catch (error) {
+    throw new UploadError('File is not a readable zip archive.', 422);
+  }
+
+  const files = entries
+    .map((entry) => ({ entry, relativePath: safeBundlePath(entry.entryName) }))
+    .filter(({ relativePath }) => relativePath && !relativePath.startsWith('__MACOSX/'));
+  if (files.length !== entries.filter((entry) => !entry.entryName.startsWith('__MACOSX/')).length) {
+    throw new UploadError('Zip archive contains unsafe paths.', 422);
+  }
+
+  const extractedSize = files.reduce((total, { entry }) => total + entry.header.size, 0);
+  if (extractedSize > MAX_EXTRACTED_MB * 1024 * 1024) {
+    throw new UploadError(`Zip archive expands beyond the ${MAX_EXTRACTED_MB} MB limit.`, 413);
+  }
+
+  // Use the model closest to the top of the archive as the entry point.
+  const models = files
+    .filter(({ relativePath }) => MODEL_EXTENSIONS.includes(fileExtension(relativePath)))
+    .sort((a, b) => a.relativePath.split('/').length - b.relativePath.split('/').length);
+  if (models.length === 0) {
+    throw new UploadError('Zip archive does not contain a .gltf or .glb model.', 422);
+  }
+  if (models.length > 1 && models[0].relativePath.split('/').length === models[1].relativePath.split('/').length) {
+    throw new UploadError('Zip archive contains more than one model; upload one product part per zip.', 422);
+  }
+
+  files.forEach(({ entry, relativePath }) => {
+    if (!MODEL_EXTENSIONS.includes(fileExtension(relativePath)) &&
+        !SIDECAR_EXTENSIONS.includes(fileExtension(relativePath))) {
+      return;
+    }
+    const targetPath = path.join(bundleDir, relativePath);
+    fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+    fs.writeFileSync(targetPath, entry.getData());
+  });
+  return models[0].relativePath;
+}
+
+// Move validated files out of staging. A lone .glb is stored flat with a uuid
+// prefix; a .gltf with sidecars or a .zip gets its own folder so the loader can
+// resolve relative resources. Returns the stored path relative to uploads/.
+function storeUpload(files) {
+  const zips = files.filter((file) => fileExtension(file.originalname) === '.zip');
+  const models = files.filter((file) => MODEL_EXTENSIONS.includes(fileExtension(file.originalname)));
+
+  if (files.length === 1 && fileExtension(files[0].originalname) === '.glb') {
+    const file = files[0];
+    validateModelFile(file.path, file.originalname);
+    const storedName = `${uuidv4()}-${sanitizeFileName(file.originalname)}`;
+    fs.renameSync(file.path, path.join(uploadDir, storedName));
+    return { relativePath: storedName, name: displayNameFromFile(file.originalname), fileName: file.originalname };
+  }
+
+  const isZipBundle = files.length === 1 && zips.length === 1;
+  const isGltfBundle = zips.length === 0 && models.length === 1 && fileExtension(models[0].originalname) === '.gltf';
+  if (!isZipBundle && !isGltfBundle) {
+    throw new UploadError('Upload a single .glb, a .gltf together with its .bin and texture files, or a .zip bundle.');
+  }
+
+  const bundleId = uuidv4();
+  const bundleDir = path.join(uploadDir, bundleId);
+  fs.mkdirSync(bundleDir);
+  try {
+    let entryPath;
+    if (isZipBundle) {
+      entryPath = extractZipBundle(files[0].path, bundleDir);
+    } else {
+      files.forEach((file) => {
+        const bundleName = safeBundlePath(path.basename(file.originalname));
+        if (!bundleName) {
+          throw new UploadError(`Invalid file name "${file.originalname}".`);
+        }
+        fs.renameSync(file.path, path.join(bundleDir, bundleName));
+      });
+      entryPath = path.basename(models[0].originalname);
+    }
+    const json = validateModelFile(path.join(bundleDir, entryPath), entryPath);
+    checkModelResources(bundleDir, entryPath, json);
+    const sourceName = isZipBundle ? files[0].originalname : models[0].originalname;
+    return { relativePath: `${bundleId}/${entryPath}`, name: displayNameFromFile(sourceName), fileName: sourceName };
+  } catch (error) {
+    fs.rmSync(bundleDir, { recursive: true, force: true });
+    throw error;
+  }
+}
+
+// Run the multer middleware and turn its failures into JSON errors.
+function receiveModelUpload(req, res, next) {
+  upload.array('model', MAX_BUNDLE_FILES)(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `File is larger than the ${MAX_UPLOAD_MB} MB upload limit.`
+        : `Upload rejected: ${err.message}`;
+      return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: message });
+    }
+    if (err instanceof UploadError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    next(err);
+  });
+}
+
+// Per-room state for host management, pending requests and upload buffers.
+// { roomId: { id, hostSocketId, pendingRequests, hostUploadBuffers } }
+const rooms = new Map();
+const DEFAULT_ROOM_ID = 'lobby';
+
+// Room codes are short, URL-safe identifiers taken from the `?room=` parameter.
+function normalizeRoomId(roomId) {
+  const code = String(roomId || '').trim().toLowerCase().replace(/[^a-z0-9_-]/g, '').slice(0, 32);
+  return code || DEFAULT_ROOM_ID;
+}
+
+// Cursor colours handed out to participants; red stays reserved for the host pointer.
+const CURSOR_COLORS = ['#0077cc', '#2a9d8f', '#e9a100', '#7b4fd6', '#00a0b0', '#e76f51', '#4caf50', '#c2185b'];
+
+function normalizeDisplayName(name) {
+  return typeof name === 'string' ? name.replace(/\s+/g, ' ').trim().slice(0, 40) : '';
+}
+
+// The colour fewest people in the room are already using.
+function pickCursorColor(roomId) {
+  const members = io.sockets.adapter.rooms.get(roomId) || new Set();
+  const usage = new Map(CURSOR_COLORS.map((color) => [color, 0]));
+  members.forEach((socketId) => {
+    const member = io.sockets.sockets.get(socketId);
+    if (member && usage.has(member.data.color)) {
+      usage.set(member.data.color, usage.get(member.data.color) + 1);
+    }
+  });
+  return CURSOR_COLORS.reduce((best, color) => (usage.get(color) < usage.get(best) ? color : best));
+}
+
+// The top of the host's explode slider; larger factors fly parts off screen.
+const MAX_EXPLODE_FACTOR = 2;
+
+// Authoritative scene state for a room, pushed to clients as a `session-state` snapshot.
+function createSessionState() {
+  return {
+    product: null, // { id, name, units, metadata } of the product on screen.
+    parts: [], // Manifest parts: [{ id, name, url, position, rotation, scale, explode, metadata }]
+    transforms: {}, // { partId: { position, rotation, scale } }
+    explode: 0, // Explode factor; 0 is fully assembled.
+    visibility: {}, // { partId: false } for parts the host has hidden.
+    variant: null, // Name of the material variant on show; null for the original materials.
+    annotations: [], // [{ id, partId, position, text, createdAt }], positions in the part's local space.
+    views: [], // [{ id, name, position, target, fov }] saved camera viewpoints, in world space.
+    tours: [], // [{ id, name, steps }] scripted presentations; see Tours.
+    tour: null, // { id, index } of the tour step on show.
+    measurements: [], // [{ id, points: [{ partId, position }] }], chained point-to-point measurements.
+    chat: [], // Recent chat messages and questions, oldest first; see Chat.
+    sections: [], // [{ id, axis, normal, constant }] clipping planes in product space.
+    transferPolicy: { mode: 'auto', seconds: DEFAULT_TRANSFER_SECONDS }, // How viewers take over; see Host Transfer.
+    camera: null, // { position, rotation, target }
+    pointer: { active: false, position: null },
+    arActive: false,
+    resetAt: null
+  };
+}
+
+const MAX_MEASUREMENT_POINTS = 50;
+const MAX_SECTION_PLANES = 6;
+
+// Per-product view state that no longer applies once the product changes.
+function resetProductView(state) {
+  state.transforms = {};
+  state.explode = 0;
+  state.visibility = {};
+  state.variant = null;
+  state.sections = [];
+  state.tour = null;
+}
+
+function getRoom(roomId) {
+  if (!rooms.has(roomId)) {
+    rooms.set(roomId, {
+      id: roomId,
+      hostSocketId: null,
+      pendingRequests: {}, // { requestId: { requester: socketId, requestedAt, deadline } }
+      transferTimer: null, // Auto-grants the oldest request under the 'auto' policy.
+      hostUploadBuffers: {}, // Buffer for host uploads keyed by their socket ID.
+      guestCount: 0, // Numbers unnamed participants ("Guest 3").
+      participants: new Map(), // socketId -> { id, name, color, device, arCapable, presenter, connectedAt }
+      partLocks: new Map(), // partId -> socketId of whoever is moving it
+      recording: null, // { id, fd, startedAt } while the host records the room; see Session Recording.
+      state: readSessionState(roomId) || createSessionState(),
+      saveTimeout: null
+    });
+  }
+  return rooms.get(roomId);
+}
+
+// Unload a room once its last client has left; its state stays on disk.
+function removeRoomIfEmpty(roomId) {
+  const members = io.sockets.adapter.rooms.get(roomId);
+  if (members && members.size > 0) return;
+  const room = rooms.get(roomId);
+  if (!room) return;
+  clearTimeout(room.transferTimer);
+  stopRecording(room);
+  flushSessionState(room);
+  rooms.delete(roomId);
+  console.log(`Room ${roomId} closed`);
+}
+
+//
+// --- Participants ---
+//
+const DEVICE_TYPES = ['desktop', 'mobile', 'tablet', 'headset'];
+
+// The roster as clients see it, with everyone's current role.
+function rosterFor(room) {
+  const requesters = new Set(Object.values(room.pendingRequests).map((request) => request.requester));
+  return Array.from(room.participants.values()).map((participant) => ({
+    ...participant,
+    role: participant.id === room.hostSocketId ? 'host' : 'viewer',
+    requestingHost: requesters.has(participant.id)
+  }));
+}
+
+function broadcastRoster(room) {
+  io.to(room.id).emit('roster', { participants: rosterFor(room) });
+}
+
+// Hand the host role to a socket (or to nobody) and tell the room.
+function setRoomHost(room, socketId) {
+  const previousHostId = room.hostSocketId;
+  room.hostSocketId = socketId;
+  io.to(room.id).emit('host-changed', { hostSocketId: socketId });
+  removeHostRequests(room, socketId);
+  updateTransferQueue(room);
+  if (previousHostId && !canMoveParts(room, previousHostId)) {
+    releasePartLocks(room, previousHostId);
+  }
+}
+
+function participantName(room, socketId) {
+  const participant = room.participants.get(socketId);
+  return participant ? participant.name : null;
+}
+
+//
+// --- Host Transfer ---
+//
+// Each room has a policy for viewers asking to take over:
+//   auto       - the host has `seconds` to answer the oldest request, then it is granted
+//   approval   - requests wait until the host allows or denies them
+//   presenters - only participants the host marked as presenters may take over,
+//                and they do so without asking
+// Requests queue in arrival order, and whenever nobody is hosting the oldest
+// one is granted straight away.
+const TRANSFER_MODES = ['auto', 'approval', 'presenters'];
+const DEFAULT_TRANSFER_SECONDS = 30;
+const MIN_TRANSFER_SECONDS = 5;
+const MAX_TRANSFER_SECONDS = 600;
+
+function normalizeTransferPolicy(policy) {
+  const mode = policy && TRANSFER_MODES.includes(policy.mode) ? policy.mode : 'auto';
+  const seconds = Math.round(Number(policy && policy.seconds));
+  return {
+    mode,
+    seconds: Number.isFinite(seconds)
+      ? Math.min(MAX_TRANSFER_SECONDS, Math.max(MIN_TRANSFER_SECONDS, seconds))
+      : DEFAULT_TRANSFER_SECONDS
+  };
+}
+
+// Pending requests, oldest first.
+function transferQueue(room) {
+  return Object.entries(room.pendingRequests)
+    .map(([requestId, request]) => ({ requestId, ...request }))
+    .sort((a, b) => a.requestedAt - b.requestedAt);
+}
+
+function transferQueueInfo(room) {
+  return {
+    policy: room.state.transferPolicy,
+    requests: transferQueue(room).map((request) => ({
+      requestId: request.requestId,
+      requester: request.requester,
+      requesterName: participantName(room, request.requester),
+      requestedAt: request.requestedAt,
+      deadline: request.deadline
+    }))
+  };
+}
+
+function addHostRequest(room, socketId) {
+  const requestId = uuidv4();
+  room.pendingRequests[requestId] = { requester: socketId, requestedAt: Date.now(), deadline: null };
+  return requestId;
+}
+
+// Drop a socket's requests, e.g. once it is host or has left.
+function removeHostRequests(room, socketId) {
+  let removed = false;
+  for (const requestId in room.pendingRequests) {
+    if (room.pendingRequests[requestId].requester === socketId) {
+      delete room.pendingRequests[requestId];
+      removed = true;
+    }
+  }
+  return removed;
+}
+
+function grantHostRequest(room, requestId) {
+  const request = room.pendingRequests[requestId];
+  if (!request) return;
+  console.log(`Granting host request ${requestId} to ${request.requester} (room ${room.id})`);
+  delete room.pendingRequests[requestId];
+  setRoomHost(room, request.requester);
+}
+
+// Re-arm the auto-grant timer for the oldest request and tell the room about
+// the queue. Call after any change to the requests, the host or the policy.
+function updateTransferQueue(room) {
+  clearTimeout(room.transferTimer);
+  room.transferTimer = null;
+  const queue = transferQueue(room);
+  const [oldest] = queue;
+  if (!room.hostSocketId) {
+    // Under the presenters policy only a presenter's leftover request can fill the gap.
+    const next = queue.find((request) => {
+      const participant = room.participants.get(request.requester);
+      return room.state.transferPolicy.mode !== 'presenters' || (participant && participant.presenter);
+    });
+    if (next) {
+      grantHostRequest(room, next.requestId);
+      return;
+    }
+  }
+  Object.entries(room.pendingRequests).forEach(([requestId, request]) => {
+    if (!oldest || requestId !== oldest.requestId || room.state.transferPolicy.mode !== 'auto') {
+      request.deadline = null;
+    }
+  });
+  if (oldest && room.state.transferPolicy.mode === 'auto') {
+    const request = room.pendingRequests[oldest.requestId];
+    request.deadline = request.deadline || Date.now() + room.state.transferPolicy.seconds * 1000;
+    room.transferTimer = setTimeout(() => grantHostRequest(room, oldest.requestId), request.deadline - Date.now());
+  }
+  io.to(room.id).emit('transfer-queue', transferQueueInfo(room));
+  broadcastRoster(room);
+}
 
-// Buffer for host uploads keyed by their socket ID.
-let hostUploadBuffers = {};
+//
+// --- Host Access ---
+//
+// A room is protected when it has a host passcode (HOST_PASSCODES lists
+// per-room codes as "showroom=1234,demo=abcd"; HOST_PASSCODE covers every
+// other room). Claiming the host role in a protected room then needs the
+// passcode or, when HOST_TOKEN_SECRET is set, a token signed for that room
+// (minted from the passcode, see /api/rooms/:roomId/host-token). Rooms
+// without a passcode stay open to anyone.
+const HOST_TOKEN_SECRET = process.env.HOST_TOKEN_SECRET || '';
+const HOST_TOKEN_TTL_HOURS = Number(process.env.HOST_TOKEN_TTL_HOURS) || 12;
+// Wrong passcodes or tokens allowed per client address before it has to wait.
+const MAX_HOST_AUTH_FAILURES = 5;
+const HOST_AUTH_LOCKOUT = 15 * 60 * 1000;
+const hostAuthFailures = new Map(); // address -> { count, resetAt }
+
+function parseRoomPasscodes(value) {
+  const passcodes = new Map();
+  (value || '').split(',').forEach((entry) => {
+    const separator = entry.indexOf('=');
+    if (separator > 0) {
+      passcodes.set(normalizeRoomId(entry.slice(0, separator)), entry.slice(separator + 1).trim());
+    }
+  });
+  return passcodes;
+}
+
+const roomPasscodes = parseRoomPasscodes(process.env.HOST_PASSCODES);
+
+function roomPasscode(roomId) {
+  return roomPasscodes.get(roomId) || process.env.HOST_PASSCODE || '';
+}
+
+function isHostAccessRestricted(roomId) {
+  return !!roomPasscode(roomId);
+}
+
+function isHostAuthLocked(address) {
+  const failures = hostAuthFailures.get(address);
+  if (failures && failures.resetAt <= Date.now()) {
+    hostAuthFailures.delete(address);
+    return false;
+  }
+  return !!failures && failures.count >= MAX_HOST_AUTH_FAILURES;
+}
+
+function recordHostAuthFailure(address) {
+  const failures = hostAuthFailures.get(address) || { count: 0, resetAt: Date.now() + HOST_AUTH_LOCKOUT };
+  failures.count++;
+  hostAuthFailures.set(address, failures);
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function signHostToken(roomId, expiresAt) {
+  return crypto.createHmac('sha256', HOST_TOKEN_SECRET).update(`${roomId}.${expiresAt}`).digest('base64url');
+}
+
+// Tokens are "<expiresAt>.<signature>", signed for one room.
+function createHostToken(roomId) {
+  const expiresAt = Date.now() + HOST_TOKEN_TTL_HOURS * 60 * 60 * 1000;
+  return { token: `${expiresAt}.${signHostToken(roomId, expiresAt)}`, expiresAt };
+}
+
+function verifyHostToken(roomId, token) {
+  if (!HOST_TOKEN_SECRET || typeof token !== 'string') return false;
+  const [expiresAt, signature] = token.split('.');
+  if (!signature || !(Number(expiresAt) > Date.now())) return false;
+  return safeEqual(signature, signHostToken(roomId, expiresAt));
+}
+
+function checkHostCredentials(roomId, credentials) {
+  if (!isHostAccessRestricted(roomId)) return true;
+  if (!isPlainObject(credentials)) return false;
+  const passcode = roomPasscode(roomId);
+  return (!!passcode && typeof credentials.passcode === 'string' && safeEqual(credentials.passcode, passcode))
+    || verifyHostToken(roomId, credentials.token);
+}
+
+// The refusal sent back to a socket that tried to act as host without rights.
+function hostAuthError(roomId, message) {
+  const room = rooms.get(roomId);
+  return {
+    message,
+    passcodeAccepted: !!roomPasscode(roomId),
+    hostSocketId: room ? room.hostSocketId : null
+  };
+}
+
+// Whether a socket holds the host role and, in a protected room, has proved it.
+function isAuthorizedHost(socket) {
+  const room = rooms.get(socket.data.roomId);
+  return !!room && room.hostSocketId === socket.id && !!socket.data.hostAuthorized;
+}
+
+// Upload requests arrive over plain HTTP, so the host proves itself with a
+// short-lived token handed out over its socket. Files uploaded with one join
+// the host's next product; uploads without one are only loaded locally.
+const UPLOAD_TOKEN_TTL = 10 * 60 * 1000;
+const uploadTokens = new Map(); // token -> { socketId, expiresAt }
+
+function issueUploadToken(socketId) {
+  const now = Date.now();
+  uploadTokens.forEach((entry, token) => {
+    if (entry.expiresAt <= now) {
+      uploadTokens.delete(token);
+    }
+  });
+  const token = crypto.randomBytes(24).toString('base64url');
+  const expiresAt = now + UPLOAD_TOKEN_TTL;
+  uploadTokens.set(token, { socketId, expiresAt });
+  return { token, expiresAt };
+}
+
+// The host socket an upload token belongs to, if it is valid and that socket still hosts.
+function uploadTokenHolder(token) {
+  const entry = typeof token === 'string' ? uploadTokens.get(token) : null;
+  if (!entry || entry.expiresAt <= Date.now()) return null;
+  const socket = io.sockets.sockets.get(entry.socketId);
+  return socket && isAuthorizedHost(socket) ? socket : null;
+}
+
+// Catalog changes over REST need hosting rights: on a server without host
+// passcodes anyone may make them, otherwise the request carries the upload
+// token of a host signed in to a protected room, or HOST_PASSCODE itself in
+// an `x-host-passcode` header.
+function isHostRequest(req) {
+  if (!process.env.HOST_PASSCODE && roomPasscodes.size === 0) return true;
+  const holder = uploadTokenHolder(req.get('x-upload-token'));
+  if (holder && isHostAccessRestricted(holder.data.roomId)) return true;
+  return hasPasscodeHeader(req, process.env.HOST_PASSCODE);
+}
+
+// Recordings of a protected room are for its hosts only: the request carries
+// a host token for the room (`x-host-token`) or its passcode.
+function canReadRecordings(req, roomId) {
+  if (!isHostAccessRestricted(roomId)) return true;
+  return verifyHostToken(roomId, req.get('x-host-token')) || hasPasscodeHeader(req, roomPasscode(roomId));
+}
+
+// A passcode sent in an `x-host-passcode` header; wrong ones count like wrong host claims.
+function hasPasscodeHeader(req, passcode) {
+  const sent = req.get('x-host-passcode');
+  if (!sent || !passcode || isHostAuthLocked(req.ip)) return false;
+  if (safeEqual(sent, passcode)) return true;
+  recordHostAuthFailure(req.ip);
+  return false;
+}
+
+function revokeUploadTokens(socketId) {
+  uploadTokens.forEach((entry, token) => {
+    if (entry.socketId === socketId) {
+      uploadTokens.delete(token);
+    }
+  });
+}
+
+//
+// --- Part Locks ---
+//
+// The host and any presenters can move parts at the same time. Moving a part
+// takes its lock; nobody else can move it until the holder lets go, loses the
+// right to move parts or leaves.
+function canMoveParts(room, socketId) {
+  const socket = io.sockets.sockets.get(socketId);
+  const participant = room.participants.get(socketId);
+  return (!!socket && isAuthorizedHost(socket)) || (!!participant && participant.presenter);
+}
+
+function partLocksFor(room) {
+  const locks = {};
+  room.partLocks.forEach((socketId, partId) => {
+    const participant = room.participants.get(socketId);
+    locks[partId] = {
+      id: socketId,
+      name: participant ? participant.name : null,
+      color: participant ? participant.color : null
+    };
+  });
+  return locks;
+}
+
+function broadcastPartLocks(room) {
+  io.to(room.id).emit('part-locks', { locks: partLocksFor(room) });
+}
+
+function releasePartLocks(room, socketId) {
+  let released = false;
+  room.partLocks.forEach((holderId, partId) => {
+    if (holderId === socketId) {
+      room.partLocks.delete(partId);
+      released = true;
+    }
+  });
+  if (released) {
+    broadcastPartLocks(room);
+  }
+}
+
+//
+// --- Session Persistence ---
+//
+const SESSION_SAVE_DELAY = 500;
+
+function sessionFilePath(roomId) {
+  return path.join(sessionsDir, `${roomId}.json`);
+}
+
+// Pointer and AR status belong to a live host, so they are not restored.
+function readSessionState(roomId) {
+  const filePath = sessionFilePath(roomId);
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return {
+      ...createSessionState(),
+      ...saved,
+      // Other rooms may have changed the product's content since this was saved.
+      ...(saved.product && saved.product.id ? getProductContent(saved.product.id) : {}),
+      transferPolicy: normalizeTransferPolicy(saved.transferPolicy),
+      pointer: { active: false, position: null },
+      arActive: false
+    };
+  } catch (error) {
+    console.error(`Could not read saved session for room ${roomId}:`, error);
+    return null;
+  }
+}
+
+function writeSessionState(roomId, state) {
+  const filePath = sessionFilePath(roomId);
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+// Debounce writes; camera updates alone can arrive many times a second.
+function persistRoom(room) {
+  if (room.saveTimeout) return;
+  room.saveTimeout = setTimeout(() => {
+    room.saveTimeout = null;
+    try {
+      writeSessionState(room.id, room.state);
+    } catch (error) {
+      console.error(`Could not save session for room ${room.id}:`, error);
+    }
+  }, SESSION_SAVE_DELAY);
+}
+
+function flushSessionState(room) {
+  if (!room.saveTimeout) return;
+  clearTimeout(room.saveTimeout);
+  room.saveTimeout = null;
+  try {
+    writeSessionState(room.id, room.state);
+  } catch (error) {
+    console.error(`Could not save session for room ${room.id}:`, error);
+  }
+}
+
+// Map an `/uploads/...` URL back to its file, or null for anything else (e.g. bundled assets).
+function uploadPathFromUrl(url) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(url, 'http://localhost').pathname);
+  } catch (error) {
+    return null;
+  }
+  // PUBLIC_URL may add a path prefix in front of /uploads/.
+  const index = pathname.indexOf('/uploads/');
+  if (index === -1) return null;
+  const filePath = path.join(uploadDir, pathname.slice(index + '/uploads/'.length));
+  return filePath.startsWith(uploadDir + path.sep) ? filePath : null;
+}
+
+// Drop saved session and catalog parts whose uploaded files have gone missing,
+// and report uploads that nothing uses.
+function reconcileUploads() {
+  const referenced = new Set();
+  const isAvailable = (part) => {
+    const filePath = uploadPathFromUrl(part.url);
+    if (!filePath) return true;
+    if (fs.existsSync(filePath)) {
+      // Bundles live in their own folder, so track the top-level entry.
+      referenced.add(path.relative(uploadDir, filePath).split(path.sep)[0]);
+      return true;
+    }
+    return false;
+  };
+
+  const sessionFiles = fs.readdirSync(sessionsDir).filter((name) => name.endsWith('.json'));
+  for (const fileName of sessionFiles) {
+    const roomId = path.basename(fileName, '.json');
+    const state = readSessionState(roomId);
+    if (!state) continue;
+    const parts = state.parts.filter((part) => {
+      if (isAvailable(part)) return true;
+      console.warn(`Room ${roomId}: dropping part ${part.name}, missing upload ${part.url}`);
+      delete state.transforms[part.id];
+      return false;
+    });
+    if (parts.length !== state.parts.length) {
+      writeSessionState(roomId, { ...state, parts });
+    }
+  }
+
+  let catalogChanged = false;
+  catalog = catalog.filter((product) => {
+    const parts = product.parts.filter(isAvailable);
+    if (parts.length === product.parts.length) return true;
+    catalogChanged = true;
+    console.warn(`Product ${product.name}: ${product.parts.length - parts.length} part(s) missing from uploads`);
+    product.parts = parts;
+    return parts.length > 0;
+  });
+  if (catalogChanged) {
+    saveCatalog();
+  }
+
+  const orphans = fs.readdirSync(uploadDir).filter((name) => !name.startsWith('.') && !referenced.has(name));
+  console.log(`Restored ${sessionFiles.length} saved session(s) and ${catalog.length} product(s); ${orphans.length} upload(s) not in use.`);
+}
+
+//
+// --- Session Recording ---
+//
+// The host can record a room: every scene change relayed to viewers is
+// appended to data/recordings/<id>.ndjson as { t, event, data }, with `t` in
+// milliseconds since the recording started. The first line is a header and
+// the first event is the room's session-state, so playback can rebuild the
+// scene before replaying the changes.
+const recordingsDir = path.join(dataDir, 'recordings');
+fs.mkdirSync(recordingsDir, { recursive: true });
+const RECORDING_ID_PATTERN = /^[a-z0-9_-]+-\d+$/;
+// Shortest gap between two recorded host pointer positions, in ms.
+const POINTER_RECORD_INTERVAL = 100;
+
+function recordingFilePath(recordingId) {
+  return path.join(recordingsDir, `${recordingId}.ndjson`);
+}
+
+function recordingStatus(room) {
+  const { recording } = room;
+  return recording ? { active: true, id: recording.id, startedAt: recording.startedAt } : { active: false };
+}
+
+function startRecording(room, socketId) {
+  if (room.recording) return;
+  const startedAt = Date.now();
+  const id = `${room.id}-${startedAt}`;
+  const fd = fs.openSync(recordingFilePath(id), 'a');
+  room.recording = { id, fd, startedAt };
+  const header = { id, roomId: room.id, startedAt, startedBy: participantName(room, socketId) };
+  fs.writeSync(fd, `${JSON.stringify(header)}\n`);
+  recordEvent(room, 'session-state', room.state);
+  console.log(`Recording room ${room.id} to ${id}.ndjson`);
+  io.to(room.id).emit('recording-status', recordingStatus(room));
+}
+
+// Append a relayed event; a no-op unless the room is being recorded.
+function recordEvent(room, event, data) {
+  const { recording } = room;
+  if (!recording) return;
+  const line = JSON.stringify({ t: Date.now() - recording.startedAt, event, data });
+  try {
+    fs.writeSync(recording.fd, `${line}\n`);
+  } catch (error) {
+    console.error(`Could not write recording ${recording.id}:`, error);
+    stopRecording(room);
+  }
+}
+
+function stopRecording(room) {
+  const { recording } = room;
+  if (!recording) return;
+  room.recording = null;
+  fs.closeSync(recording.fd);
+  console.log(`Stopped recording ${recording.id}`);
+  io.to(room.id).emit('recording-status', { active: false, savedId: recording.id });
+}
+
+// Summary for the recordings list. The header is the first line; the last
+// write (the file's mtime) marks the end.
+function recordingInfo(fileName) {
+  const filePath = path.join(recordingsDir, fileName);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(1024);
+    const length = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    const header = JSON.parse(buffer.toString('utf8', 0, length).split('\n')[0]);
+    const { mtimeMs, size } = fs.fstatSync(fd);
+    return { ...header, duration: Math.max(0, Math.round(mtimeMs) - header.startedAt), size };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function listRecordings(roomId) {
+  return fs.readdirSync(recordingsDir)
+    .filter((name) => name.endsWith('.ndjson'))
+    .map((name) => {
+      try {
+        return recordingInfo(name);
+      } catch (error) {
+        console.error(`Could not read recording ${name}:`, error);
+        return null;
+      }
+    })
+    .filter((info) => info && (!roomId || info.roomId === roomId))
+    .sort((a, b) => b.startedAt - a.startedAt);
+}
+
+//
+// --- Product Manifests ---
+//
+// A manifest describes a product as a set of parts:
+//   { id, name, units, metadata,
+//     parts: [{ id, name, file, position, rotation, scale, explode, metadata }],
+//     variants: [{ name, parts: { partId: { color, roughness, metalness } } }] }
+// `file` is relative to the manifest; normalised parts also carry the `url`
+// clients load. Position/rotation/scale are the part's default placement and
+// `explode` is its offset in the exploded view. Variants are named colourways
+// that override the materials of the parts they list.
+const MANIFEST_UNITS = ['m', 'cm', 'mm', 'in'];
+const assetsDir = path.join(__dirname, 'public', 'assets');
+
+function slugify(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64);
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function toVector3(value, fallback) {
+  return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite) ? value.slice() : fallback;
+}
+
+function toUnitInterval(value) {
+  return Number.isFinite(value) ? Math.min(Math.max(value, 0), 1) : undefined;
+}
+
+// Keep well-formed material overrides, keyed by the normalised part ids.
+// `partIds` maps the ids and names used in the manifest to those ids.
+function normalizeVariants(variants, partIds) {
+  if (!Array.isArray(variants)) return [];
+  const usedNames = new Set();
+  return variants
+    .filter((variant) => isPlainObject(variant) && isPlainObject(variant.parts))
+    .map((variant) => {
+      const parts = {};
+      Object.entries(variant.parts).forEach(([key, override]) => {
+        const partId = partIds.get(key);
+        if (!partId || !isPlainObject(override)) return;
+        const normalized = {};
+        if (typeof override.color === 'string' && /^#[0-9a-f]{6}$/i.test(override.color)) {
+          normalized.color = override.color;
+        }
+        if (toUnitInterval(override.roughness) !== undefined) {
+          normalized.roughness = toUnitInterval(override.roughness);
+        }
+        if (toUnitInterval(override.metalness) !== undefined) {
+          normalized.metalness = toUnitInterval(override.metalness);
+        }
+        parts[partId] = normalized;
+      });
+      return { name: String(variant.name || '').trim().slice(0, 100), parts };
+    })
+    .filter((variant) => {
+      if (!variant.name || usedNames.has(variant.name)) return false;
+      usedNames.add(variant.name);
+      return true;
+    });
+}
+
+// Fill in defaults and resolve part files to URLs with `resolveUrl(file)`.
+function normalizeManifest(manifest, resolveUrl = (file) => file) {
+  if (!isPlainObject(manifest) || !Array.isArray(manifest.parts) || manifest.parts.length === 0) {
+    throw new UploadError('A product manifest needs at least one part.');
+  }
+  const usedIds = new Set();
+  const partIds = new Map();
+  const parts = manifest.parts.map((part, index) => {
+    if (!isPlainObject(part)) {
+      throw new UploadError(`Part ${index + 1} of the manifest is not an object.`);
+    }
+    const name = String(part.name || part.id || '').trim().slice(0, 100);
+    const url = typeof part.url === 'string' ? part.url : (part.file ? resolveUrl(String(part.file)) : null);
+    if (!name || !url) {
+      throw new UploadError(`Part ${index + 1} of the manifest needs a name and a file.`);
+    }
+    const baseId = slugify(part.id || name) || `part-${index + 1}`;
+    let id = baseId;
+    for (let suffix = 2; usedIds.has(id); suffix++) {
+      id = `${baseId}-${suffix}`;
+    }
+    usedIds.add(id);
+    [part.id, part.name, id].forEach((key) => {
+      if (key !== undefined && !partIds.has(String(key))) partIds.set(String(key), id);
+    });
+    return {
+      id,
+      name,
+      file: part.file ? String(part.file) : url,
+      url,
+      position: toVector3(part.position, [0, 0, 0]),
+      rotation: toVector3(part.rotation, [0, 0, 0]),
+      scale: toVector3(part.scale, [1, 1, 1]),
+      explode: toVector3(part.explode, null),
+      metadata: isPlainObject(part.metadata) ? part.metadata : {}
+    };
+  });
+  return {
+    id: manifest.id ? slugify(manifest.id) : null,
+    name: String(manifest.name || '').trim().slice(0, 100) || defaultProductName(parts),
+    units: MANIFEST_UNITS.includes(manifest.units) ? manifest.units : 'm',
+    metadata: isPlainObject(manifest.metadata) ? manifest.metadata : {},
+    parts,
+    variants: normalizeVariants(manifest.variants, partIds)
+  };
+}
+
+// Name products after what their parts share, e.g. "kool-mandoline" for
+// "kool-mandoline-blade" and "kool-mandoline-frame".
+function defaultProductName(parts) {
+  const names = parts.map((part) => part.name);
+  let prefix = names[0] || 'Product';
+  names.forEach((name) => {
+    while (!name.startsWith(prefix)) prefix = prefix.slice(0, -1);
+  });
+  prefix = prefix.replace(/[\s_.-]+$/, '');
+  return prefix.length >= 3 ? prefix : names[0] || 'Product';
+}
+
+// Build the manifest for a host upload. Parts named in an uploaded manifest are
+// matched to the uploaded files by filename; anything else gets default placement.
+function manifestForUpload(partsBuffer, manifest) {
+  const described = isPlainObject(manifest) && Array.isArray(manifest.parts) ? manifest.parts : [];
+  const byFileName = new Map(partsBuffer.map((upload) => [upload.fileName, upload]));
+  const matched = new Set();
+  const parts = [];
+  described.forEach((part) => {
+    const upload = isPlainObject(part) && byFileName.get(path.basename(String(part.file || '')));
+    if (!upload) {
+      console.warn(`Manifest part ${part && (part.id || part.name)} has no matching upload`);
+      return;
+    }
+    matched.add(upload);
+    parts.push({ ...part, url: upload.url });
+  });
+  partsBuffer
+    .filter((upload) => !matched.has(upload))
+    .forEach((upload) => parts.push({ id: upload.name, name: upload.name, file: upload.fileName, url: upload.url }));
+  return { ...(isPlainObject(manifest) ? manifest : {}), parts };
+}
+
+// Part URLs saved to the catalog must be bundled assets or files in uploads/.
+function checkPartUrls(parts) {
+  parts.forEach((part) => {
+    const filePath = uploadPathFromUrl(part.url);
+    const isAsset = /^\/?assets\/[\w.-]+$/.test(part.url);
+    if (!isAsset && (!filePath || !fs.existsSync(filePath))) {
+      throw new UploadError(`Part ${part.name} does not point at an uploaded model.`);
+    }
+  });
+}
+
+// Summary of the product on screen, kept in the session state next to its parts.
+function productInfo(product) {
+  const { id, name, units, metadata, variants } = product;
+  return { id, name, units, metadata, variants };
+}
+
+//
+// --- Product Catalog ---
+//
+// Named part sets that can be loaded into any room, stored in data/catalog.json.
+const catalogFile = path.join(dataDir, 'catalog.json');
+
+// Manifests shipped in public/assets (e.g. the mandoline demo) are always
+// available and cannot be deleted.
+function loadBuiltInProducts() {
+  return fs.readdirSync(assetsDir)
+    .filter((fileName) => fileName.endsWith('.manifest.json'))
+    .map((fileName) => {
+      try {
+        const manifest = JSON.parse(fs.readFileSync(path.join(assetsDir, fileName), 'utf8'));
+        const product = normalizeManifest(manifest, (file) => `assets/${file}`);
+        return { ...product, id: product.id || slugify(path.basename(fileName, '.manifest.json')), builtIn: true, createdAt: 0 };
+      } catch (error) {
+        console.error(`Could not read built-in manifest ${fileName}:`, error);
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+let catalog = loadCatalog();
+
+function loadCatalog() {
+  let saved = [];
+  if (fs.existsSync(catalogFile)) {
+    try {
+      saved = JSON.parse(fs.readFileSync(catalogFile, 'utf8')).products || [];
+    } catch (error) {
+      console.error("Could not read product catalog:", error);
+    }
+  }
+  const builtIn = loadBuiltInProducts();
+  const builtInIds = builtIn.map((product) => product.id);
+  return [...builtIn, ...saved.filter((product) => !builtInIds.includes(product.id))];
+}
+
+function saveCatalog() {
+  const tempPath = `${catalogFile}.tmp`;
+  const products = catalog.filter((product) => !product.builtIn);
+  fs.writeFileSync(tempPath, JSON.stringify({ products }, null, 2));
+  fs.renameSync(tempPath, catalogFile);
+}
+
+function findProduct(productId) {
+  return catalog.find((product) => product.id === productId) || null;
+}
+
+function summarizeProduct(product) {
+  const { id, name, builtIn, createdAt } = product;
+  return { id, name, builtIn: !!builtIn, createdAt, partCount: product.parts.length };
+}
+
+// Save a manifest to the catalog under a new id.
+function createProduct(manifest) {
+  const normalized = normalizeManifest(manifest);
+  checkPartUrls(normalized.parts);
+  const product = { ...normalized, id: uuidv4(), createdAt: Date.now() };
+  catalog.push(product);
+  saveCatalog();
+  return product;
+}
+
+// Remove a product and any uploaded files that no other product uses.
+function deleteProduct(product) {
+  catalog = catalog.filter((entry) => entry.id !== product.id);
+  saveCatalog();
+  if (productContent[product.id]) {
+    delete productContent[product.id];
+    saveProductContent();
+  }
+  // Rooms showing it go back to an empty scene.
+  rooms.forEach((room) => {
+    if (!room.state.product || room.state.product.id !== product.id) return;
+    setRoomProduct(room, null);
+    room.state.camera = null;
+    persistRoom(room);
+    io.to(room.id).emit('product-removed', { productId: product.id });
+    recordEvent(room, 'product-removed', { productId: product.id });
+  });
+  const stillUsed = new Set(catalog.flatMap((entry) => entry.parts.map((part) => uploadPathFromUrl(part.url))));
+  product.parts.forEach((part) => {
+    const filePath = uploadPathFromUrl(part.url);
+    if (!filePath || stillUsed.has(filePath)) return;
+    // Bundles are removed as a whole folder.
+    const topLevel = path.join(uploadDir, path.relative(uploadDir, filePath).split(path.sep)[0]);
+    fs.rm(topLevel, { recursive: true, force: true }, () => {});
+  });
+}
+
+//
+// --- Product Content ---
+//
+// What presenters add on top of a product (annotations, saved viewpoints and
+// tours), kept apart from the catalog so built-in products can have it too.
+// Stored in data/product-content.json as { productId: { annotations, views, tours } }.
+const productContentFile = path.join(dataDir, 'product-content.json');
+const MAX_ANNOTATION_LENGTH = 500;
+const MAX_VIEWS = 30;
+const MAX_VIEW_NAME_LENGTH = 60;
+
+let productContent = loadProductContent();
+
+function loadProductContent() {
+  if (!fs.existsSync(productContentFile)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(productContentFile, 'utf8'));
+  } catch (error) {
+    console.error("Could not read product content:", error);
+    return {};
+  }
+}
+
+function saveProductContent() {
+  const tempPath = `${productContentFile}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(productContent, null, 2));
+  fs.renameSync(tempPath, productContentFile);
+}
+
+function getProductContent(productId) {
+  return { annotations: [], views: [], tours: [], ...productContent[productId] };
+}
+
+function updateProductContent(productId, changes) {
+  productContent[productId] = { ...getProductContent(productId), ...changes };
+  saveProductContent();
+}
+
+// A product as sent to clients: its manifest plus the content added to it.
+function withProductContent(product) {
+  return { ...product, ...getProductContent(product.id) };
+}
+
+// Switch a room's session state to a product, or to none.
+function setRoomProduct(room, product) {
+  room.state.product = product ? productInfo(product) : null;
+  room.state.parts = product ? product.parts : [];
+  room.state.annotations = product && product.id ? getProductContent(product.id).annotations : [];
+  room.state.views = product && product.id ? getProductContent(product.id).views : [];
+  room.state.tours = product && product.id ? getProductContent(product.id).tours : [];
+  room.state.measurements = [];
+  resetProductView(room.state);
+  if (room.partLocks.size > 0) {
+    room.partLocks.clear();
+    broadcastPartLocks(room);
+  }
+}
+
+// Rooms showing the same saved product as `room` (just `room` for a product without an id).
+function roomsShowingProduct(room) {
+  const { product } = room.state;
+  if (!product || !product.id) return [room];
+  return Array.from(rooms.values()).filter((other) => other.state.product && other.state.product.id === product.id);
+}
+
+// The latest list of one kind of content ('annotations', 'views' or 'tours')
+// for the room's product. Changes start from the stored list rather than the
+// room's copy, so rooms sharing a product don't undo each other's edits.
+function productContentList(room, kind) {
+  const { product } = room.state;
+  return product && product.id ? getProductContent(product.id)[kind] : room.state[kind];
+}
+
+// Save a changed list with the room's product and send it to every room showing that product.
+function saveProductContentList(room, kind, list) {
+  const { product } = room.state;
+  if (product && product.id) {
+    updateProductContent(product.id, { [kind]: list });
+  }
+  roomsShowingProduct(room).forEach((other) => {
+    other.state[kind] = list;
+    persistRoom(other);
+    io.to(other.id).emit(kind, { [kind]: list });
+    recordEvent(other, kind, { [kind]: list });
+  });
+}
+
+//
+// --- Tours ---
+//
+// A tour is a scripted presentation saved with the product:
+//   { id, name, steps: [{ id, title, text, camera, visibility, transforms, explode, duration }] }
+// Each step is a whole scene: the camera ({ position, rotation, target, fov }),
+// hidden parts, moved parts and the explode factor, plus a caption and how
+// many seconds it stays up when the host lets the tour play (0 waits for Next).
+// While a tour runs, `state.tour` is { id, index } and the step's scene is the
+// room's scene.
+const MAX_TOURS = 20;
+const MAX_TOUR_STEPS = 50;
+const MAX_STEP_SECONDS = 600;
+
+// A camera pose { position, rotation, target, fov }, or null if it is unusable.
+// The fov is clamped to what a perspective camera can show.
+function normalizeCameraView(value) {
+  if (!isPlainObject(value)) return null;
+  const position = toVector3(value.position, null);
+  const target = toVector3(value.target, null);
+  const fov = Number(value.fov);
+  if (!position || !target || !Number.isFinite(fov)) return null;
+  return { position, rotation: toVector3(value.rotation, [0, 0, 0]), target, fov: Math.min(Math.max(fov, 1), 179) };
+}
+
+function normalizeTourStep(step, partIds) {
+  if (!isPlainObject(step)) return null;
+  const camera = normalizeCameraView(step.camera);
+  if (!camera) return null;
+  const visibility = {};
+  Object.entries(isPlainObject(step.visibility) ? step.visibility : {}).forEach(([partId, visible]) => {
+    if (partIds.has(partId) && visible === false) {
+      visibility[partId] = false;
+    }
+  });
+  const transforms = {};
+  Object.entries(isPlainObject(step.transforms) ? step.transforms : {}).forEach(([partId, transform]) => {
+    if (!partIds.has(partId) || !isPlainObject(transform)) return;
+    transforms[partId] = {
+      position: toVector3(transform.position, [0, 0, 0]),
+      rotation: toVector3(transform.rotation, [0, 0, 0]),
+      scale: toVector3(transform.scale, [1, 1, 1])
+    };
+  });
+  const explode = Number(step.explode);
+  const duration = Number(step.duration);
+  return {
+    id: typeof step.id === 'string' && step.id ? step.id.slice(0, 64) : uuidv4(),
+    title: typeof step.title === 'string' ? step.title.trim().slice(0, MAX_VIEW_NAME_LENGTH) : '',
+    text: typeof step.text === 'string' ? step.text.trim().slice(0, MAX_ANNOTATION_LENGTH) : '',
+    camera,
+    visibility,
+    transforms,
+    explode: Number.isFinite(explode) ? Math.min(Math.max(explode, 0), MAX_EXPLODE_FACTOR) : 0,
+    duration: Number.isFinite(duration) ? Math.min(Math.max(duration, 0), MAX_STEP_SECONDS) : 0
+  };
+}
+
+// A tour was edited or removed: end it wherever it is running on this product.
+function endTourEverywhere(room, tourId) {
+  roomsShowingProduct(room).forEach((other) => {
+    if (other.state.tour && other.state.tour.id === tourId) {
+      endTour(other);
+    }
+  });
+}
+
+// Make a tour step the room's scene and send it to everyone, host included.
+function goToTourStep(room, tour, index) {
+  const step = tour.steps[index];
+  const { state } = room;
+  state.tour = { id: tour.id, index };
+  state.transforms = { ...step.transforms };
+  state.visibility = { ...step.visibility };
+  state.explode = step.explode;
+  state.camera = step.camera;
+  persistRoom(room);
+  const payload = { tourId: tour.id, name: tour.name, index, count: tour.steps.length, step };
+  io.to(room.id).emit('tour-step', payload);
+  recordEvent(room, 'tour-step', payload);
+}
+
+function endTour(room) {
+  if (!room.state.tour) return;
+  room.state.tour = null;
+  persistRoom(room);
+  io.to(room.id).emit('tour-end');
+  recordEvent(room, 'tour-end');
+}
+
+//
+// --- Chat ---
+//
+// Everyone in a room can send chat messages; in Q&A mode a message is a
+// question, which stays open until the host marks it answered. A message may
+// be pinned to a point on the model, kept in the part's local space like an
+// annotation. Each message is
+//   { id, kind: 'message' | 'question', from, name, color, fromHost, text, pin, answered, createdAt }
+// with `pin` being { partId, position } or null. The latest MAX_CHAT_HISTORY
+// stay in the session state, so late joiners get the conversation so far.
+const CHAT_KINDS = ['message', 'question'];
+const MAX_CHAT_LENGTH = 500;
+const MAX_CHAT_HISTORY = 200;
+// Shortest gap between two messages from the same person, in ms.
+const CHAT_MIN_INTERVAL = 500;
+
+function normalizeChatPin(room, pin) {
+  if (!isPlainObject(pin) || !room.state.parts.some((part) => part.id === pin.partId)) return null;
+  const position = toVector3(pin.position, null);
+  return position ? { partId: pin.partId, position } : null;
+}
+
+function addChatMessage(room, message) {
+  room.state.chat = [...room.state.chat, message].slice(-MAX_CHAT_HISTORY);
+  persistRoom(room);
+  io.to(room.id).emit('chat-message', { message });
+  // Recordings keep the whole list, so a seek lands on the chat as it was then.
+  recordEvent(room, 'chat', { messages: room.state.chat });
+}
+
+function setQuestionAnswered(room, id, answered) {
+  const question = room.state.chat.find((message) => message.id === id && message.kind === 'question');
+  if (!question || question.answered === answered) return;
+  question.answered = answered;
+  persistRoom(room);
+  io.to(room.id).emit('chat-update', { message: question });
+  recordEvent(room, 'chat', { messages: room.state.chat });
+}
+
+app.use('/api', express.json());
+
+app.get('/api/products', (req, res) => {
+  res.json({ products: catalog.map(summarizeProduct) });
+});
+
+app.get('/api/products/:id', (req, res) => {
+  const product = findProduct(req.params.id);
+  if (!product) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+  res.json(withProductContent(product));
+});
+
+// The body is a product manifest whose parts carry uploaded `url`s.
+app.post('/api/products', (req, res) => {
+  if (!isHostRequest(req)) {
+    return res.status(403).json({ error: 'Only a host can add products' });
+  }
+  try {
+    const product = createProduct(req.body);
+    console.log(`Saved product ${product.name} (${product.id})`);
+    res.status(201).json(product);
+  } catch (error) {
+    if (error instanceof UploadError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    throw error;
+  }
+});
+
+app.delete('/api/products/:id', (req, res) => {
+  if (!isHostRequest(req)) {
+    return res.status(403).json({ error: 'Only a host can delete products' });
+  }
+  const product = findProduct(req.params.id);
+  if (!product) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+  if (product.builtIn) {
+    return res.status(403).json({ error: 'Built-in products cannot be deleted' });
+  }
+  deleteProduct(product);
+  console.log(`Deleted product ${product.name} (${product.id})`);
+  res.status(204).end();
+});
+
+// Exchange a room's host passcode for a signed token, e.g. to share a host link.
+app.post('/api/rooms/:roomId/host-token', (req, res) => {
+  const roomId = normalizeRoomId(req.params.roomId);
+  if (!HOST_TOKEN_SECRET) {
+    return res.status(404).json({ error: 'Host tokens are not enabled on this server' });
+  }
+  if (isHostAuthLocked(req.ip)) {
+    return res.status(429).json({ error: 'Too many wrong passcodes; try again later' });
+  }
+  const passcode = roomPasscode(roomId);
+  if (!passcode || !req.body || typeof req.body.passcode !== 'string' || !safeEqual(req.body.passcode, passcode)) {
+    recordHostAuthFailure(req.ip);
+    return res.status(403).json({ error: 'Host passcode is not valid for this room' });
+  }
+  res.json(createHostToken(roomId));
+});
+
+// Recordings the request may watch, newest first; `?room=` narrows the list to one room.
+app.get('/api/recordings', (req, res) => {
+  const roomId = req.query.room ? normalizeRoomId(req.query.room) : null;
+  const readable = new Map();
+  const recordings = listRecordings(roomId).filter((recording) => {
+    if (!readable.has(recording.roomId)) {
+      readable.set(recording.roomId, canReadRecordings(req, recording.roomId));
+    }
+    return readable.get(recording.roomId);
+  });
+  res.json({ recordings });
+});
+
+// The recording itself, one JSON value per line.
+app.get('/api/recordings/:id', (req, res) => {
+  const recordingId = String(req.params.id);
+  const filePath = recordingFilePath(recordingId);
+  if (!RECORDING_ID_PATTERN.test(recordingId) || !fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'Recording not found' });
+  }
+  if (!canReadRecordings(req, recordingInfo(`${recordingId}.ndjson`).roomId)) {
+    return res.status(403).json({ error: 'This recording needs the host passcode or a host link' });
+  }
+  res.type('application/x-ndjson');
+  fs.createReadStream(filePath).pipe(res);
+});
 
 // File Upload Endpoint.
-app.post('/upload', upload.single('model'), (req, res) => {
-  if (!req.file) {
+app.post('/upload', receiveModelUpload, (req, res) => {
+  if (!req.files || req.files.length === 0) {
     return res.status(400).json({ error: 'No file uploaded' });
   }
 
+  let stored;
+  try {
+    stored = storeUpload(req.files);
+  } catch (error) {
+    if (error instanceof UploadError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Could not store upload:", error);
+    return res.status(500).json({ error: 'Could not read the uploaded file.' });
+  } finally {
+    // Anything still in staging was rejected or has been extracted.
+    req.files.forEach((file) => fs.rm(file.path, { force: true }, () => {}));
+  }
+  const displayName = stored.name;
+
   // Construct the base URL from the environment variable or fallback to request host.
   const baseUrl = process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
   console.log("Using baseUrl:", baseUrl);
 
-  const fileUrl = `${baseUrl}/uploads/${req.file.filename}`;
-
-  // Extract uploader's socket id and role from custom headers.
-  const uploaderId = req.headers['x-socket-id'];
-  const uploaderRole = req.headers['x-uploader-role'] || 'viewer';
+  const fileUrl = `${baseUrl}/uploads/${stored.relativePath.split('/').map(encodeURIComponent).join('/')}`;
 
-  // Buffer the file if the uploader is a host.
-  if (uploaderRole === 'host' && uploaderId) {
+  // Buffer the file in the host's room when the request carries the host's upload token.
+  const uploaderSocket = uploadTokenHolder(req.headers['x-upload-token']);
+  if (uploaderSocket) {
+    const uploaderId = uploaderSocket.id;
+    const { hostUploadBuffers } = getRoom(uploaderSocket.data.roomId);
     if (!hostUploadBuffers[uploaderId]) {
       hostUploadBuffers[uploaderId] = [];
     }
     hostUploadBuffers[uploaderId].push({
       url: fileUrl,
-      name: req.file.originalname,
+      name: displayName,
+      fileName: stored.fileName,
       id: uuidv4(),
       sender: uploaderId
     });
-    console.log(`Buffered upload for host ${uploaderId}: ${req.file.originalname}`);
+    console.log(`Buffered upload for host ${uploaderId}: ${stored.fileName} -> ${stored.relativePath}`);
   } else {
     console.log("Viewer upload detected; not broadcasting upload to other clients.");
   }
 
-  res.json({ url: fileUrl, name: req.file.originalname });
+  res.json({ url: fileUrl, name: displayName, fileName: stored.fileName });
 });
 
 // Socket communication.
 io.on('connection', (socket) => {
-  console.log(`Client connected: ${socket.id}`);
+  const roomId = normalizeRoomId(socket.handshake.query.room);
+  const room = getRoom(roomId);
+  socket.data.roomId = roomId;
+  socket.data.color = pickCursorColor(roomId);
+  socket.data.name = normalizeDisplayName(socket.handshake.query.name) || `Guest ${++room.guestCount}`;
+  socket.data.hostAuthorized = !isHostAccessRestricted(roomId);
+  socket.join(roomId);
+  console.log(`Client connected: ${socket.id} (room ${roomId})`);
+  socket.emit('room-joined', {
+    roomId,
+    hostSocketId: room.hostSocketId,
+    name: socket.data.name,
+    color: socket.data.color
+  });
+  // Bring late joiners up to date before any live deltas reach them.
+  socket.emit('session-state', room.state);
+  room.participants.set(socket.id, {
+    id: socket.id,
+    name: socket.data.name,
+    color: socket.data.color,
+    device: 'desktop',
+    arCapable: false,
+    presenter: false,
+    connectedAt: Date.now()
+  });
+  broadcastRoster(room);
+  socket.emit('transfer-queue', transferQueueInfo(room));
+  socket.emit('part-locks', { locks: partLocksFor(room) });
+  socket.emit('recording-status', recordingStatus(room));
+
+  // Clients describe themselves once connected, and again when renamed.
+  socket.on('join-info', (data) => {
+    const participant = room.participants.get(socket.id);
+    if (!participant || !data) return;
+    const name = normalizeDisplayName(data.name);
+    if (name) {
+      participant.name = name;
+      socket.data.name = name;
+    }
+    if (DEVICE_TYPES.includes(data.device)) {
+      participant.device = data.device;
+    }
+    if (typeof data.arCapable === 'boolean') {
+      participant.arCapable = data.arCapable;
+    }
+    broadcastRoster(room);
+  });
+
+  // Host claims carry { passcode } or { token } in protected rooms; a socket
+  // that has proved itself once keeps its rights until it disconnects.
+  // Wrong guesses count against the client's address, so reconnecting doesn't reset them.
+  const authorizeHostClaim = (credentials) => {
+    if (socket.data.hostAuthorized) return true;
+    const address = socket.handshake.address;
+    const hasCredentials = isPlainObject(credentials) && !!(credentials.passcode || credentials.token);
+    let message = 'Hosting this room needs a passcode or a host link.';
+    if (hasCredentials && isHostAuthLocked(address)) {
+      message = 'Too many wrong passcodes. Try again in a few minutes.';
+    } else if (hasCredentials && checkHostCredentials(roomId, credentials)) {
+      socket.data.hostAuthorized = true;
+      return true;
+    } else if (hasCredentials) {
+      recordHostAuthFailure(address);
+      message = 'That host passcode or link is not valid.';
+    }
+    console.log(`Refused host claim from ${socket.id} (room ${roomId})`);
+    socket.emit('host-auth-error', hostAuthError(roomId, message));
+    return false;
+  };
+
+  // Gate for host-only relays. Unproven sockets in a protected room are told
+  // why; an authorised socket that has just handed the role on is ignored.
+  const fromHost = () => {
+    if (isAuthorizedHost(socket)) return true;
+    if (!socket.data.hostAuthorized) {
+      socket.emit('host-auth-error', hostAuthError(roomId, 'Only the authenticated host can change the shared view.'));
+    }
+    return false;
+  };
+
+  // Gate for moving parts, which presenters share with the host. Viewers are
+  // simply ignored; they are not asked for the host passcode.
+  const fromPresenter = () => canMoveParts(room, socket.id);
+  const isRoomPart = (partId) => room.state.parts.some((part) => part.id === partId);
+
+  // The host asks for an upload token before sending files (see uploadTokens).
+  socket.on('upload-token', (callback) => {
+    if (typeof callback !== 'function') return;
+    callback(fromHost() ? issueUploadToken(socket.id) : { token: null });
+  });
 
-  socket.on('register-host', () => {
+  socket.on('register-host', (credentials) => {
     console.log(`register-host from ${socket.id}`);
-    hostSocketId = socket.id;
-    io.emit('host-changed', { hostSocketId });
+    if (!authorizeHostClaim(credentials)) return;
+    setRoomHost(room, socket.id);
   });
 
-  socket.on('request-host', () => {
+  socket.on('request-host', (credentials) => {
     console.log(`request-host from ${socket.id}`);
-    if (!hostSocketId) {
-      hostSocketId = socket.id;
-      io.emit('host-changed', { hostSocketId });
-    } else if (hostSocketId === socket.id) {
+    if (!authorizeHostClaim(credentials)) return;
+    const participant = room.participants.get(socket.id);
+    const { mode } = room.state.transferPolicy;
+    if (!room.hostSocketId) {
+      setRoomHost(room, socket.id);
+    } else if (room.hostSocketId === socket.id) {
       console.log(`Socket ${socket.id} is already the host.`);
+    } else if (mode === 'presenters') {
+      if (participant && participant.presenter) {
+        setRoomHost(room, socket.id);
+      } else {
+        socket.emit('transfer-denied', { requestId: null, message: 'Only presenters can take control in this room.' });
+      }
+    } else if (transferQueue(room).some((request) => request.requester === socket.id)) {
+      console.log(`Socket ${socket.id} is already waiting for control.`);
     } else {
-      const requestId = uuidv4();
-      const timeout = setTimeout(() => {
-        console.log(`Auto transferring host role to ${socket.id} for request ${requestId}`);
-        hostSocketId = socket.id;
-        io.emit('host-changed', { hostSocketId });
-        delete pendingRequests[requestId];
-      }, 30000);
-      pendingRequests[requestId] = { timeout, requester: socket.id };
-      io.to(hostSocketId).emit('host-transfer-request', { requestId, requester: socket.id });
+      const requestId = addHostRequest(room, socket.id);
+      io.to(room.hostSocketId).emit('host-transfer-request', {
+        requestId,
+        requester: socket.id,
+        requesterName: participantName(room, socket.id)
+      });
+      updateTransferQueue(room);
     }
   });
 
   socket.on('release-host', (data) => {
-    const { requestId } = data;
-    if (pendingRequests[requestId]) {
-      const { timeout, requester } = pendingRequests[requestId];
-      clearTimeout(timeout);
-      hostSocketId = requester;
-      io.emit('host-changed', { hostSocketId });
-      delete pendingRequests[requestId];
-    }
+    if (!fromHost() || !data) return;
+    grantHostRequest(room, data.requestId);
   });
 
   socket.on('deny-host', (data) => {
-    const { requestId } = data;
-    if (pendingRequests[requestId]) {
-      const { timeout, requester } = pendingRequests[requestId];
-      clearTimeout(timeout);
-      io.to(requester).emit('transfer-denied', { requestId });
-      delete pendingRequests[requestId];
+    if (!fromHost() || !data) return;
+    const request = room.pendingRequests[data.requestId];
+    if (request) {
+      io.to(request.requester).emit('transfer-denied', { requestId: data.requestId });
+      delete room.pendingRequests[data.requestId];
+      updateTransferQueue(room);
+    }
+  });
+
+  // Clients emit this when their request countdown runs out. The server keeps
+  // its own timer, so this only grants a request whose deadline has passed.
+  socket.on('auto-promote', (data) => {
+    const requestId = data && data.requestId
+      ? data.requestId
+      : (transferQueue(room).find((request) => request.requester === socket.id) || {}).requestId;
+    const request = room.pendingRequests[requestId];
+    if (request && request.deadline && request.deadline <= Date.now() + 1000) {
+      grantHostRequest(room, requestId);
     }
   });
 
   socket.on('cancel-host-request', () => {
     console.log(`Received cancel-host-request from ${socket.id}`);
-    let found = false;
-    for (const reqId in pendingRequests) {
-      if (pendingRequests[reqId].requester === socket.id) {
-        console.log(`Found pending request ${reqId} for ${socket.id}`);
-        clearTimeout(pendingRequests[reqId].timeout);
-        delete pendingRequests[reqId];
-        found = true;
-        // Emit the cancellation event to the current host.
-        if (hostSocketId) {
-          io.to(hostSocketId).emit('host-request-cancelled', { requestId: reqId });
-        }
-      }
-    }
-    if (!found) {
+    const cancelled = transferQueue(room).filter((request) => request.requester === socket.id);
+    if (cancelled.length === 0) {
       console.log(`No pending host request found for ${socket.id}`);
+      return;
+    }
+    removeHostRequests(room, socket.id);
+    // Emit the cancellation event to the current host.
+    if (room.hostSocketId) {
+      cancelled.forEach((request) => {
+        io.to(room.hostSocketId).emit('host-request-cancelled', { requestId: request.requestId });
+      });
+    }
+    updateTransferQueue(room);
+  });
+
+  socket.on('transfer-policy', (data) => {
+    if (!fromHost() || !data) return;
+    room.state.transferPolicy = normalizeTransferPolicy(data);
+    persistRoom(room);
+    // Deadlines restart under the new policy.
+    Object.values(room.pendingRequests).forEach((request) => {
+      request.deadline = null;
+    });
+    updateTransferQueue(room);
+  });
+
+  // The host marks who may take over under the 'presenters' policy.
+  socket.on('set-presenter', (data) => {
+    if (!fromHost() || !data) return;
+    const participant = room.participants.get(data.id);
+    if (!participant) return;
+    participant.presenter = !!data.presenter;
+    broadcastRoster(room);
+    if (!canMoveParts(room, participant.id)) {
+      releasePartLocks(room, participant.id);
+    }
+  });
+
+  // A presenter started moving a part. The lock goes to whoever asks first;
+  // everyone gets the new lock list either way.
+  socket.on('part-lock', (data) => {
+    if (!fromPresenter() || !data || !isRoomPart(data.partId)) return;
+    if (!room.partLocks.has(data.partId)) {
+      room.partLocks.set(data.partId, socket.id);
     }
+    broadcastPartLocks(room);
+  });
+
+  socket.on('part-unlock', (data) => {
+    if (!data || room.partLocks.get(data.partId) !== socket.id) return;
+    room.partLocks.delete(data.partId);
+    broadcastPartLocks(room);
   });
 
   socket.on('give-up-host', () => {
-    if (socket.id === hostSocketId) {
-      hostSocketId = null;
-      io.emit('host-changed', { hostSocketId: null });
+    if (socket.id === room.hostSocketId) {
+      setRoomHost(room, null);
     }
   });
 
   socket.on('model-transform', (modelState) => {
-    if (socket.id === hostSocketId) {
-      socket.broadcast.emit('model-transform', modelState);
-    }
+    if (!fromPresenter() || !modelState || !isRoomPart(modelState.customId)) return;
+    const { customId } = modelState;
+    const holderId = room.partLocks.get(customId);
+    if (holderId && holderId !== socket.id) return;
+    const position = toVector3(modelState.position, null);
+    const rotation = toVector3(modelState.rotation, null);
+    const scale = toVector3(modelState.scale, null);
+    if (!position || !rotation || !scale) return;
+    room.state.transforms[customId] = { position, rotation, scale };
+    persistRoom(room);
+    socket.to(roomId).emit('model-transform', { customId, position, rotation, scale });
+    recordEvent(room, 'model-transform', { customId, position, rotation, scale });
   });
   
-  socket.on('camera-update', (cameraState) => {
-    if (socket.id === hostSocketId) {
-      socket.broadcast.emit('camera-update', cameraState);
+  socket.on('camera-update', (data) => {
+    const cameraState = normalizeCameraView(data);
+    if (fromHost() && cameraState) {
+      room.state.camera = cameraState;
+      persistRoom(room);
+      socket.to(roomId).emit('camera-update', cameraState);
+      recordEvent(room, 'camera-update', cameraState);
     }
   });
   
+  // A viewer who stopped following the host asks for the host's current view
+  // to jump back to it.
+  socket.on('request-host-view', () => {
+    socket.emit('host-view', { camera: room.state.camera, transforms: room.state.transforms });
+  });
+
   socket.on('reset-all', (resetAll) => {
-    if (socket.id === hostSocketId) {
-      socket.broadcast.emit('reset-all', resetAll);
+    if (fromHost()) {
+      // Viewers following a tour need to hear that it stopped.
+      endTour(room);
+      resetProductView(room.state);
+      room.state.camera = null;
+      room.state.resetAt = Date.now();
+      persistRoom(room);
+      socket.to(roomId).emit('reset-all', resetAll);
+      recordEvent(room, 'reset-all', resetAll);
+    }
+  });
+
+  // The host's full visibility map replaces the previous one.
+  socket.on('part-visibility', (data) => {
+    if (!fromHost() || !data || !isPlainObject(data.visibility)) return;
+    const visibility = {};
+    Object.entries(data.visibility).forEach(([partId, visible]) => {
+      if (visible === false && isRoomPart(partId)) {
+        visibility[partId] = false;
+      }
+    });
+    room.state.visibility = visibility;
+    persistRoom(room);
+    socket.to(roomId).emit('part-visibility', { visibility });
+    recordEvent(room, 'part-visibility', { visibility });
+  });
+
+  // Annotations are pinned to a point in a part's local space. The full list is
+  // broadcast after every change, and saved with the product when it has one.
+  socket.on('annotation-add', (data) => {
+    if (!fromHost() || !data) return;
+    const text = typeof data.text === 'string' ? data.text.trim().slice(0, MAX_ANNOTATION_LENGTH) : '';
+    const position = toVector3(data.position, null);
+    if (!text || !position || !room.state.parts.some((part) => part.id === data.partId)) return;
+    saveProductContentList(room, 'annotations', [
+      ...productContentList(room, 'annotations'),
+      { id: uuidv4(), partId: data.partId, position, text, createdAt: Date.now() }
+    ]);
+  });
+
+  socket.on('annotation-remove', (data) => {
+    if (!fromHost() || !data) return;
+    const annotations = productContentList(room, 'annotations');
+    if (!annotations.some((annotation) => annotation.id === data.id)) return;
+    saveProductContentList(room, 'annotations', annotations.filter((annotation) => annotation.id !== data.id));
+  });
+
+  // Named camera viewpoints. Saving under an existing name replaces that view.
+  socket.on('view-save', (data) => {
+    if (!fromHost() || !data || !room.state.product) return;
+    const name = typeof data.name === 'string' ? data.name.trim().slice(0, MAX_VIEW_NAME_LENGTH) : '';
+    const camera = normalizeCameraView(data);
+    if (!name || !camera) return;
+    const { position, target, fov } = camera;
+    const views = productContentList(room, 'views');
+    const existing = views.find((view) => view.name === name);
+    const view = { id: existing ? existing.id : uuidv4(), name, position, target, fov };
+    if (existing) {
+      saveProductContentList(room, 'views', views.map((candidate) => (candidate === existing ? view : candidate)));
+    } else if (views.length < MAX_VIEWS) {
+      saveProductContentList(room, 'views', [...views, view]);
+    }
+  });
+
+  socket.on('view-remove', (data) => {
+    if (!fromHost() || !data) return;
+    const views = productContentList(room, 'views');
+    if (!views.some((view) => view.id === data.id)) return;
+    saveProductContentList(room, 'views', views.filter((view) => view.id !== data.id));
+  });
+
+  // The host flies to a view; viewers fly along, and the host's camera update
+  // at the end of the flight becomes the room's camera.
+  socket.on('view-recall', (data) => {
+    if (!fromHost() || !data) return;
+    const view = room.state.views.find((candidate) => candidate.id === data.id);
+    if (!view) return;
+    socket.to(roomId).emit('view-recall', { view });
+    recordEvent(room, 'view-recall', { view });
+  });
+
+  // Tours are saved whole; an unknown or missing id adds a new tour.
+  socket.on('tour-save', (data) => {
+    if (!fromHost() || !data || !room.state.product || !Array.isArray(data.steps)) return;
+    const name = typeof data.name === 'string' ? data.name.trim().slice(0, MAX_VIEW_NAME_LENGTH) : '';
+    const partIds = new Set(room.state.parts.map((part) => part.id));
+    const steps = data.steps.slice(0, MAX_TOUR_STEPS).map((step) => normalizeTourStep(step, partIds)).filter(Boolean);
+    if (!name || steps.length === 0) return;
+    const tours = productContentList(room, 'tours');
+    const existing = tours.find((tour) => tour.id === data.id);
+    const tour = { id: existing ? existing.id : uuidv4(), name, steps };
+    if (existing) {
+      endTourEverywhere(room, tour.id);
+      saveProductContentList(room, 'tours', tours.map((candidate) => (candidate === existing ? tour : candidate)));
+    } else if (tours.length < MAX_TOURS) {
+      saveProductContentList(room, 'tours', [...tours, tour]);
+    }
+  });
+
+  socket.on('tour-remove', (data) => {
+    if (!fromHost() || !data) return;
+    const tours = productContentList(room, 'tours');
+    if (!tours.some((tour) => tour.id === data.id)) return;
+    endTourEverywhere(room, data.id);
+    saveProductContentList(room, 'tours', tours.filter((tour) => tour.id !== data.id));
+  });
+
+  // Start a tour at its first step, or go to a step of the running tour.
+  socket.on('tour-goto', (data) => {
+    if (!fromHost() || !data) return;
+    const tourId = data.tourId || (room.state.tour && room.state.tour.id);
+    const tour = room.state.tours.find((candidate) => candidate.id === tourId);
+    const index = Number.isInteger(data.index) ? data.index : 0;
+    if (!tour || index < 0 || index >= tour.steps.length) return;
+    goToTourStep(room, tour, index);
+  });
+
+  socket.on('tour-end', () => {
+    if (fromHost()) {
+      endTour(room);
+    }
+  });
+
+  // Chat is open to everyone in the room; only the host closes questions.
+  socket.on('chat-send', (data) => {
+    if (!data) return;
+    const text = typeof data.text === 'string' ? data.text.trim().slice(0, MAX_CHAT_LENGTH) : '';
+    const now = Date.now();
+    if (!text || now - (socket.data.lastChatAt || 0) < CHAT_MIN_INTERVAL) return;
+    socket.data.lastChatAt = now;
+    const kind = CHAT_KINDS.includes(data.kind) ? data.kind : 'message';
+    addChatMessage(room, {
+      id: uuidv4(),
+      kind,
+      from: socket.id,
+      name: socket.data.name,
+      color: socket.data.color,
+      fromHost: isAuthorizedHost(socket),
+      text,
+      pin: normalizeChatPin(room, data.pin),
+      answered: kind === 'question' ? false : null,
+      createdAt: now
+    });
+  });
+
+  socket.on('question-answered', (data) => {
+    if (fromHost() && data && typeof data.id === 'string') {
+      setQuestionAnswered(room, data.id, data.answered !== false);
+    }
+  });
+
+  // The host's measurements are saved whole on every change (chains grow a
+  // point at a time) and the full list goes back to the room.
+  socket.on('measurement-save', (data) => {
+    if (!fromHost() || !data || typeof data.id !== 'string' || !Array.isArray(data.points)) return;
+    const points = data.points.slice(0, MAX_MEASUREMENT_POINTS).map((point) => ({
+      partId: point && point.partId,
+      position: toVector3(point && point.position, null)
+    }));
+    const valid = points.length >= 2 && points.every((point) =>
+      point.position && room.state.parts.some((part) => part.id === point.partId));
+    if (!valid) return;
+    const measurement = { id: data.id.slice(0, 64), points };
+    const known = room.state.measurements.some((existing) => existing.id === measurement.id);
+    room.state.measurements = known
+      ? room.state.measurements.map((existing) => (existing.id === measurement.id ? measurement : existing))
+      : [...room.state.measurements, measurement];
+    persistRoom(room);
+    io.to(roomId).emit('measurements', { measurements: room.state.measurements });
+    recordEvent(room, 'measurements', { measurements: room.state.measurements });
+  });
+
+  socket.on('measurement-remove', (data) => {
+    if (!fromHost() || !data) return;
+    room.state.measurements = room.state.measurements.filter((measurement) => measurement.id !== data.id);
+    persistRoom(room);
+    io.to(roomId).emit('measurements', { measurements: room.state.measurements });
+    recordEvent(room, 'measurements', { measurements: room.state.measurements });
+  });
+
+  // Section planes are sent whole whenever the host adds, moves or removes one.
+  socket.on('section-update', (data) => {
+    if (!fromHost() || !data || !Array.isArray(data.planes)) return;
+    const planes = data.planes.slice(0, MAX_SECTION_PLANES).map((plane) => ({
+      id: plane && typeof plane.id === 'string' ? plane.id.slice(0, 64) : uuidv4(),
+      axis: plane && ['x', 'y', 'z'].includes(plane.axis) ? plane.axis : null,
+      normal: toVector3(plane && plane.normal, null),
+      constant: Number(plane && plane.constant)
+    }));
+    if (!planes.every((plane) => plane.normal && plane.normal.some((value) => value !== 0) && Number.isFinite(plane.constant))) {
+      return;
+    }
+    room.state.sections = planes;
+    persistRoom(room);
+    socket.to(roomId).emit('section-update', { planes });
+    recordEvent(room, 'section-update', { planes });
+  });
+
+  // Material variants switch on every client as soon as the host picks one.
+  socket.on('variant-change', (data) => {
+    if (!fromHost() || !data) return;
+    const variant = typeof data.variant === 'string' && data.variant ? data.variant.slice(0, 100) : null;
+    room.state.variant = variant;
+    persistRoom(room);
+    socket.to(roomId).emit('variant-change', { variant });
+    recordEvent(room, 'variant-change', { variant });
+  });
+
+  // Everyone plays the same explode/assemble animation; late joiners get the end state.
+  socket.on('explode', (data) => {
+    if (!fromHost() || !data) return;
+    const factor = Math.min(Number(data.factor), MAX_EXPLODE_FACTOR);
+    if (!Number.isFinite(factor) || factor < 0) return;
+    const duration = Number.isFinite(Number(data.duration)) ? Math.max(0, Number(data.duration)) : 0;
+    room.state.explode = factor;
+    persistRoom(room);
+    socket.to(roomId).emit('explode', { factor, duration });
+    recordEvent(room, 'explode', { factor, duration });
+  });
+
+  // The host switches the whole room to a catalog product.
+  socket.on('select-product', (data) => {
+    if (!fromHost()) return;
+    const product = findProduct(data && data.productId);
+    if (!product) {
+      socket.emit('product-error', { message: 'That product is no longer in the catalog.' });
+      return;
+    }
+    setRoomProduct(room, product);
+    room.state.camera = null;
+    persistRoom(room);
+    io.to(roomId).emit('product-selected', { product: withProductContent(product) });
+    recordEvent(room, 'product-selected', { product: withProductContent(product) });
+  });
+
+  // The host built a product from a manifest of its own (e.g. the demo).
+  socket.on('product-loaded', (data) => {
+    if (!fromHost()) return;
+    let product;
+    try {
+      product = normalizeManifest(data && data.manifest);
+      checkPartUrls(product.parts);
+    } catch (error) {
+      socket.emit('product-error', { message: error.message });
+      return;
+    }
+    // A manifest loaded this way is not in the catalog, so it gets no id of
+    // its own and cannot share (or overwrite) a catalog product's content.
+    product = { ...product, id: null };
+    setRoomProduct(room, product);
+    persistRoom(room);
+    socket.to(roomId).emit('product-selected', { product: withProductContent(product) });
+    recordEvent(room, 'product-selected', { product: withProductContent(product) });
+    // The host built the scene itself, so it only needs the saved annotations.
+    socket.emit('annotations', { annotations: room.state.annotations });
+  });
+
+  // Track what the host has in the scene so the snapshot can rebuild it.
+  socket.on('models-cleared', () => {
+    if (fromHost()) {
+      setRoomProduct(room, null);
+      persistRoom(room);
+    }
+  });
+
+  socket.on('model-loaded', (part) => {
+    if (!fromHost() || !part || !part.id || !part.url) return;
+    let normalized;
+    try {
+      normalized = normalizeManifest({ parts: [part] }).parts[0];
+      checkPartUrls([normalized]);
+    } catch (error) {
+      return;
+    }
+    // Compare normalized ids; the client may report the id it was given.
+    if (!room.state.parts.some((existing) => existing.id === normalized.id)) {
+      room.state.parts.push(normalized);
+      persistRoom(room);
+    }
+  });
+
+  socket.on('ar-session-start', () => {
+    if (fromHost()) {
+      room.state.arActive = true;
+      socket.to(roomId).emit('host-ar-status', { active: true });
+    }
+  });
+
+  socket.on('ar-session-end', () => {
+    if (fromHost()) {
+      room.state.arActive = false;
+      socket.to(roomId).emit('host-ar-status', { active: false });
     }
   });
 
   // When the host signals the upload is complete,
   // broadcast the aggregated product information.
-  socket.on('product-upload-complete', () => {
+  // The uploaded parts are also saved to the catalog as a new product, laid
+  // out by the manifest the host picked alongside them (if any).
+  socket.on('product-upload-complete', (data) => {
+    if (!fromHost()) return;
     const uploaderId = socket.id;
-    const partsBuffer = hostUploadBuffers[uploaderId] || [];
+    const partsBuffer = room.hostUploadBuffers[uploaderId] || [];
     if (partsBuffer.length > 0) {
       console.log(`Broadcasting complete product for host ${uploaderId}`);
-      io.emit('product-upload-complete', {
-        parts: partsBuffer,
+      let product;
+      try {
+        product = createProduct(manifestForUpload(partsBuffer, data && data.manifest));
+      } catch (error) {
+        console.error("Could not save uploaded product:", error);
+        socket.emit('product-error', { message: error.message });
+        room.hostUploadBuffers[uploaderId] = [];
+        return;
+      }
+      setRoomProduct(room, product);
+      persistRoom(room);
+      io.to(roomId).emit('product-upload-complete', {
+        product,
+        parts: product.parts,
         sender: uploaderId
       });
+      recordEvent(room, 'product-upload-complete', { product, parts: product.parts, sender: uploaderId });
       // Clear the buffer once broadcast is complete.
-      hostUploadBuffers[uploaderId] = [];
+      room.hostUploadBuffers[uploaderId] = [];
     } else {
       console.log(`No buffered parts found for host ${uploaderId}`);
     }
   });
 
+  // The host starts and stops recording the room; everyone is told while it runs.
+  socket.on('recording-start', () => {
+    if (!fromHost()) return;
+    try {
+      startRecording(room, socket.id);
+    } catch (error) {
+      console.error(`Could not start recording room ${roomId}:`, error);
+      socket.emit('recording-error', { message: 'The recording could not be started.' });
+    }
+  });
+
+  socket.on('recording-stop', () => {
+    if (fromHost()) {
+      stopRecording(room);
+    }
+  });
+
   //
   // --- Pointer Broadcasting Logic ---
   //
-  // Relay the pointer toggle event.
+  // Relay the pointer toggle event. Only the host has a host pointer.
   socket.on('host-pointer-toggle', (data) => {
-    socket.broadcast.emit('host-pointer-toggle', data);
+    if (!fromHost()) return;
+    room.state.pointer.active = !!(data && data.active);
+    socket.to(roomId).emit('host-pointer-toggle', { active: room.state.pointer.active });
+    recordEvent(room, 'host-pointer-toggle', { active: room.state.pointer.active });
   });
   // Relay the pointer position update.
   socket.on('host-pointer-update', (data) => {
-    socket.broadcast.emit('host-pointer-update', data);
+    if (!fromHost()) return;
+    const position = toVector3(data && data.position, null);
+    if (!position) return;
+    room.state.pointer.position = position;
+    socket.to(roomId).emit('host-pointer-update', { position });
+    // The pointer moves every frame; recordings keep a sample of it.
+    const now = Date.now();
+    if (room.recording && now - (room.recording.pointerRecordedAt || 0) >= POINTER_RECORD_INTERVAL) {
+      room.recording.pointerRecordedAt = now;
+      recordEvent(room, 'host-pointer-update', { position });
+    }
+  });
+
+  // Everyone's own cursor, relayed with who it belongs to. A null position
+  // means the cursor left the product or was switched off.
+  socket.on('cursor-update', (data) => {
+    if (!data) return;
+    const position = data.position === null ? null : toVector3(data.position, null);
+    if (data.position !== null && !position) return;
+    socket.to(roomId).emit('cursor-update', {
+      id: socket.id,
+      name: socket.data.name,
+      color: socket.data.color,
+      position
+    });
   });
 
   socket.on('disconnect', () => {
-    if (socket.id === hostSocketId) {
-      hostSocketId = null;
-      io.emit('host-changed', { hostSocketId: null });
-    }
-    for (const reqId in pendingRequests) {
-      if (pendingRequests[reqId].requester === socket.id) {
-        clearTimeout(pendingRequests[reqId].timeout);
-        delete pendingRequests[reqId];
-      }
+    socket.to(roomId).emit('cursor-update', { id: socket.id, position: null });
+    room.participants.delete(socket.id);
+    revokeUploadTokens(socket.id);
+    removeHostRequests(room, socket.id);
+    releasePartLocks(room, socket.id);
+    if (socket.id === room.hostSocketId) {
+      room.state.pointer.active = false;
+      room.state.arActive = false;
+      setRoomHost(room, null);
+    } else {
+      updateTransferQueue(room);
     }
+    removeRoomIfEmpty(roomId);
   });
 });
 
+// Write out any pending session saves before the process goes away.
+function shutdown(signal) {
+  console.log(`Received ${signal}; saving sessions.`);
+  rooms.forEach((room) => {
+    stopRecording(room);
+    flushSessionState(room);
+  });
+  process.exit(0);
+}
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
 // Start the server.
+reconcileUploads();
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
   console.log(`Server listening on port ${PORT}`);